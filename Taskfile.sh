@@ -13,7 +13,17 @@ fi
 # START tasks
 
 build() {
-  jvdx build --clean -f modern,cjs,esm --no-sourcemap
+  jvdx build --clean -f modern,cjs,esm --no-sourcemap --no-generateTypes
+  # NOTE(joel): jvdx only emits declarations for the entry file. tsc follows
+  # its imports, so `src/registry.js` gets declarations as well.
+  tsc src/index.js \
+    --allowJs \
+    --declaration \
+    --emitDeclarationOnly \
+    --jsx preserve \
+    --target esnext \
+    --moduleResolution node \
+    --outDir dist
 }
 
 format() {
@@ -23,10 +23,9 @@ export function Example() {
 				</button>
 				<hr />
 				<ListProvider>
-					{items.map((item, i) => (
+					{items.map(item => (
 						<ListItem
 							key={item}
-							index={i}
 							style={{
 								display: 'flex',
 								justifyContent: 'space-between',
@@ -71,11 +70,13 @@ const ListProvider = ({ children }) => {
 
 ////////////////////////////////////////////////////////////////////////////////
 
-const ListItem = ({ children, index: indexProp, ...rest }) => {
+const ListItem = ({ children, ...rest }) => {
 	let ref = React.useRef(null);
 	let [element, handleRefSet] = useStatefulRefValue(ref, null);
 	let descendant = React.useMemo(() => ({ element }), [element]);
-	let index = useDescendant(descendant, DescendantContext, indexProp);
+	// NOTE(joel): No explicit index needed. The provider notices when the
+	// list items move in the DOM and re-indexes them.
+	let index = useDescendant(descendant, DescendantContext);
 
 	return (
 		<div data-index={index} ref={handleRefSet} {...rest}>
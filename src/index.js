@@ -2,27 +2,70 @@ import * as React from 'react';
 import {
 	useForceUpdate,
 	useIsomorphicLayoutEffect as useLayoutEffect,
+	useStableCallback,
 	noop,
 	createNamedContext,
 } from '@react-lit/helper';
+import { useSyncExternalStore } from 'use-sync-external-store/shim';
+import {
+	DescendantRegistry,
+	createDescendantNavigation,
+	createDescendantTreeNavigation,
+	createDescendantView,
+	getDescendantKey,
+	getDescendantKeyMap,
+	getGridOption,
+	getKeyMapAction,
+	getSpatialScore,
+	getTypeaheadOption,
+	getVirtualDescendants,
+	getVisiblePageSize,
+} from './registry';
 
-////////////////////////////////////////////////////////////////////////////////
+export {
+	DescendantRegistry,
+	createDescendantNavigation,
+	createDescendantTreeNavigation,
+	createDescendantView,
+	getDescendantKeyMap,
+	getGridOption,
+	getKeyMapAction,
+	getSpatialScore,
+	getTypeaheadOption,
+	getVirtualDescendants,
+	getVisiblePageSize,
+	getVisibleTreeDescendants,
+	normalizeKeyCombination,
+} from './registry';
 
-/**
- * @typedef {Element | HTMLElement} SomeElement
- */
+////////////////////////////////////////////////////////////////////////////////
 
 /**
- * @typedef {Object} Descendant
- * @prop {SomeElement | null} element
- * @prop {number} index
+ * @typedef {import('./registry').SomeElement} SomeElement
+ * @typedef {import('./registry').Descendant} Descendant
+ * @typedef {import('./registry').DescendantKey} DescendantKey
+ * @typedef {import('./registry').DescendantComparator} DescendantComparator
+ * @typedef {import('./registry').DescendantChange} DescendantChange
+ * @typedef {import('./registry').ActiveDescendantFallback} ActiveDescendantFallback
+ * @typedef {import('./registry').DescendantNavigation} DescendantNavigation
+ * @typedef {import('./registry').DescendantTreeAction} DescendantTreeAction
+ * @typedef {import('./registry').SpatialDirection} SpatialDirection
+ * @typedef {import('./registry').SpatialScore} SpatialScore
+ * @typedef {import('./registry').DescendantView} DescendantView
+ * @typedef {import('./registry').DescendantViewOptions} DescendantViewOptions
+ * @typedef {import('./registry').DescendantLinkRelation} DescendantLinkRelation
+ * @typedef {import('./registry').DescendantEntry} DescendantEntry
+ * @typedef {import('./registry').DescendantKeyAction} DescendantKeyAction
+ * @typedef {import('./registry').DescendantKeyMap} DescendantKeyMap
  */
 
 /**
  * @typedef {Object} DescendantContextValue
- * @prop {Array<Descendant>} descendants
- * @prop {(descendant: Descendant) => void} registerDescendant
- * @prop {(element: Descendant['element']) => void} unregisterDescendant
+ * @prop {Array<Descendant>} [descendants] Only used without a provider.
+ * @prop {DescendantRegistry} [store]
+ * @prop {number} [count]
+ * @prop {(descendant: Descendant, anchors?: Array<SomeElement>) => void} registerDescendant
+ * @prop {(key: DescendantKey) => void} unregisterDescendant
  */
 
 /**
@@ -57,17 +100,74 @@ export function useDescendantsInit() {
  * @returns {DescendantContextValue['descendants']}
  */
 export function useDescendants(ctx) {
-	return React.useContext(ctx).descendants;
+	const { store, descendants } = React.useContext(ctx);
+
+	// NOTE(joel): Without a `DescendantProvider` (e.g. when reading the initial
+	// value of a descendant context) there is no store to subscribe to.
+	const getSnapshot = store ? store.getSnapshot : () => descendants;
+	return useSyncExternalStore(
+		store ? store.subscribe : subscribeNoop,
+		getSnapshot,
+		getSnapshot,
+	);
+}
+
+/**
+ * useDescendantRegistry returns the `DescendantRegistry` of the closest
+ * `DescendantProvider` of `ctx`, e.g. to link a nested collection to it.
+ * @param {React.Context<DescendantContextValue>} ctx
+ * @returns {DescendantRegistry | null}
+ */
+export function useDescendantRegistry(ctx) {
+	return React.useContext(ctx).store ?? null;
+}
+
+/**
+ * subscribeNoop
+ * @returns {() => void}
+ */
+function subscribeNoop() {
+	return noop;
 }
 
+let generatedIds = 0;
+
+/**
+ * useId returns an id that is stable across renders and can be used as an
+ * element id. React versions without `React.useId` fall back to a counter,
+ * which is client-only: ids rendered on the server will not match the ones
+ * generated during hydration.
+ * @returns {string}
+ */
+const useId =
+	React.useId ??
+	(() => React.useState(() => `descendant-${++generatedIds}`)[0]);
+
 ////////////////////////////////////////////////////////////////////////////////
 
 /**
  * @typedef {Object} DescendantProviderProps
  * @prop {React.Context<DescendantContextValue>} context
  * @prop {React.ReactNode} children
- * @prop {Array<Descendant>} items
- * @prop {React.Dispatch<React.SetStateAction<Array<Descendant>>>} set
+ * @prop {Array<Descendant>} [items] Unused, kept for backwards compatibility.
+ * @prop {React.Dispatch<React.SetStateAction<Array<Descendant>>>} [set]
+ *   Receives the registered descendants after every change.
+ * @prop {boolean} [tree=false]
+ * @prop {number} [count] Total number of descendants in virtualized lists,
+ *   where only some of them are mounted and register with an explicit index.
+ * @prop {number} [defaultActiveIndex=-1] Index of the initially active
+ *   descendant, see `useActiveDescendant`.
+ * @prop {ActiveDescendantFallback} [activeFallback='next'] Which descendant
+ *   becomes active when the active one unregisters.
+ * @prop {(change: DescendantChange) => void} [onChange] Called once per commit
+ *   in which descendants were added, removed, moved or shifted.
+ * @prop {DescendantComparator} [compare] Orders descendants instead of their
+ *   document position (or render order for descendants without an element).
+ * @prop {DescendantRegistry} [registry] Used instead of creating a registry,
+ *   e.g. to link collections that are not nested. Only read on mount.
+ * @prop {Partial<Record<DescendantLinkRelation, DescendantRegistry | null>>} [links]
+ *   Collections that `useDescendantKeyDown` passes control to, see
+ *   `DescendantRegistry#link`.
  */
 
 /**
@@ -75,82 +175,71 @@ export function useDescendants(ctx) {
  * @param {DescendantProviderProps} props
  * @returns {React.ReactNode}
  */
-export function DescendantProvider({ context: Ctx, children, items, set }) {
-	const registerDescendant = React.useCallback(
-		({ element, index: explicitIndex, ...rest }) => {
-			if (!element) return;
+export function DescendantProvider({
+	context: Ctx,
+	children,
+	set,
+	tree = false,
+	count,
+	defaultActiveIndex = -1,
+	activeFallback = 'next',
+	onChange,
+	compare,
+	registry,
+	links,
+}) {
+	// NOTE(joel): Descendants register in layout effects, which run before the
+	// layout effects of their provider but without re-rendering it. We request
+	// a single provider update for all registrations of a commit and apply them
+	// in the provider's layout effect, so mounting N descendants results in one
+	// store update instead of N state updates.
+	const [, requestFlush] = React.useReducer(c => c + 1, 0);
+	const [store] = React.useState(() => {
+		const store = registry ?? new DescendantRegistry();
+		store.setScheduleFlush(requestFlush);
+		store.setActiveIndex(defaultActiveIndex);
+		return store;
+	});
 
-			set(items => {
-				let newItems;
-				if (explicitIndex != null) {
-					newItems = [...items, { ...rest, element, index: explicitIndex }];
-					return newItems.sort((a, b) => a.index - b.index);
-				}
+	// NOTE(joel): Subscribe before the first flush so that the initial
+	// registrations are reported as well.
+	useLayoutEffect(() => {
+		if (!set) return;
+		return store.subscribe(() => set(store.getSnapshot()));
+	}, [set, store]);
 
-				if (items.length === 0) {
-					// NOTE(joel): if there are no registered items yet, simply add the
-					// new item and index 0.
-					newItems = [{ ...rest, element, index: 0 }];
-				} else if (items.find(item => item.element === element)) {
-					// NOTE(joel): If the new element is already registered, use the
-					// existing items.
-					newItems = items;
-				} else {
-					// NOTE(joel): We have to make sure the order of registered
-					// descendants is the same as they appear in the DOM. To do this
-					// we look up the actual order via `node.compareDocumentPosition`.
-					let index = items.findIndex(item => {
-						if (!item.element || !element) return false;
-						return Boolean(
-							item.element.compareDocumentPosition(element) &
-								Node.DOCUMENT_POSITION_PRECEDING,
-						);
-					});
-
-					let newItem = { ...rest, element, index };
-
-					// NOTE(joel): If an index is not found we will push the element to
-					// the end.
-					if (index === -1) {
-						newItems = [...items, newItem];
-					} else {
-						newItems = [
-							...items.slice(0, index),
-							newItem,
-							...items.slice(index),
-						];
-					}
-				}
-				return newItems.map((item, index) => ({ ...item, index }));
-			});
-		},
-		// NOTE(joel): `set` is a state setter initialized by the
-		// `useDescendantsInit` hook. We can safely ignore the lint warning here
-		// because it will not change between renders.
-		// eslint-disable-next-line react-hooks/exhaustive-deps
-		[],
-	);
+	const hasOnChange = onChange != null;
+	const handleChange = useStableCallback(change => onChange(change));
+	useLayoutEffect(() => {
+		if (!hasOnChange) return;
+		return store.subscribeChanges(handleChange);
+	}, [handleChange, hasOnChange, store]);
+
+	useLayoutEffect(() => {
+		store.setTree(tree);
+		store.setActiveOptions({ count, fallback: activeFallback });
+		store.setCompare(compare);
+		store.flush();
+	});
 
-	const unregisterDescendant = React.useCallback(
-		element => {
-			if (!element) return;
+	useLayoutEffect(() => store.observe(), [store]);
 
-			set(items => items.filter(item => element !== item.element));
-		},
-		// NOTE(joel): `set` is a state setter initialized by the
-		// `useDescendantsInit` hook. We can safely ignore the lint warning here
-		// because it will not change between renders.
-		// eslint-disable-next-line react-hooks/exhaustive-deps
-		[],
-	);
+	const { previous, next, parent, child } = links ?? {};
+	useLayoutEffect(() => {
+		const unlinks = Object.entries({ previous, next, parent, child })
+			.filter(([, linked]) => linked)
+			.map(([relation, linked]) => store.link(relation, linked));
+		return () => unlinks.forEach(unlink => unlink());
+	}, [child, next, parent, previous, store]);
 
 	const contextValue = React.useMemo(
 		() => ({
-			descendants: items,
-			registerDescendant,
-			unregisterDescendant,
+			store,
+			count,
+			registerDescendant: store.register,
+			unregisterDescendant: store.unregister,
 		}),
-		[items, registerDescendant, unregisterDescendant],
+		[store, count],
 	);
 
 	return <Ctx.Provider value={contextValue}>{children}</Ctx.Provider>;
@@ -166,30 +255,79 @@ export function DescendantProvider({ context: Ctx, children, items, set }) {
  */
 export function useDescendant(descendant, context, indexProp) {
 	let forceUpdate = useForceUpdate();
-	let { registerDescendant, unregisterDescendant, descendants } =
+	let { store, registerDescendant, unregisterDescendant, descendants } =
 		React.useContext(context);
+	let portalAnchors = React.useContext(DescendantPortalContext);
+	let group = React.useContext(DescendantGroupContext);
+	let groupId = group && group.context === context ? group.id : undefined;
+
+	// NOTE(joel): Before we are registered (e.g. during server rendering and
+	// hydration), we fall back to our position in render order. The `id` is
+	// stable across StrictMode double renders.
+	let id = useId();
 
-	// NOTE(joel): This will initially return -1 because we haven't registered
-	// the descendant yet.
-	let index =
-		indexProp ??
-		descendants.findIndex(item => item.element === descendant.element);
+	// NOTE(joel): Descendants without an element are identified by their `id`
+	// and ordered by render order, which we can only record while rendering.
+	let key = getDescendantKey(descendant);
+	if (store && descendant.id != null) store.trackRenderOrder(descendant.id);
+
+	// NOTE(joel): We only subscribe to our own index, so registering or
+	// unregistering other descendants does not re-render us unless our index
+	// changes. Descendants rendering after the provider has mounted will
+	// initially get -1 because we haven't registered them yet.
+	let getIndex = React.useCallback(() => {
+		if (!store) {
+			return descendants.findIndex(item => getDescendantKey(item) === key);
+		}
+		let registeredIndex = store.getIndex(key);
+		// NOTE(joel): The store may move an explicit index that collides with
+		// another one. Until our current index prop is registered, the render
+		// index keeps its slot free of implicit descendants.
+		let registered =
+			indexProp != null
+				? store.getExplicitIndex(key) === indexProp
+				: registeredIndex !== -1;
+		return registered ? registeredIndex : store.getRenderIndex(id, indexProp);
+	}, [store, descendants, key, id, indexProp]);
+	let registeredIndex = useSyncExternalStore(
+		store ? store.subscribe : subscribeNoop,
+		getIndex,
+		getIndex,
+	);
+	let index = store ? registeredIndex : indexProp ?? registeredIndex;
+
+	// NOTE(joel): The render order is applied once the render is committed,
+	// whether or not the provider rendered as well. Only the first descendant
+	// of a commit has anything left to do.
+	let hasId = descendant.id != null;
+	useLayoutEffect(() => {
+		if (store && hasId) store.commitRenderOrder();
+	});
 
 	// NOTE(joel): Use a layout effect to prevent any flashing.
 	useLayoutEffect(() => {
-		if (!descendant.element) forceUpdate();
+		if (key == null) forceUpdate();
 
-		registerDescendant({
-			...descendant,
-			index,
-		});
+		// NOTE(joel): Only an explicit index prop is passed on. Implicit indexes
+		// are computed from the document position by the provider.
+		registerDescendant(
+			{
+				...(groupId != null && { group: groupId }),
+				...descendant,
+				index: indexProp,
+			},
+			portalAnchors,
+		);
 		return () => {
-			unregisterDescendant(descendant.element);
+			unregisterDescendant(key);
 		};
 	}, [
 		descendant,
 		forceUpdate,
-		index,
+		groupId,
+		indexProp,
+		key,
+		portalAnchors,
 		registerDescendant,
 		unregisterDescendant,
 		// NOTE(joel): The exhaustive-deps eslint rule cannot parse Object.values
@@ -203,15 +341,152 @@ export function useDescendant(descendant, context, indexProp) {
 
 ////////////////////////////////////////////////////////////////////////////////
 
+/**
+ * useDescendantIndex returns the index of the descendant registered by `key`
+ * (its element or `id`), or -1 if it is not registered. Components only
+ * re-render when that index changes, not whenever any descendant registers.
+ * @param {React.Context<DescendantContextValue>} context
+ * @param {DescendantKey | null | undefined} key
+ * @returns {number}
+ */
+export function useDescendantIndex(context, key) {
+	const { store, descendants } = React.useContext(context);
+	const getIndex = React.useCallback(() => {
+		if (key == null) return -1;
+		if (store) return store.getIndex(key);
+		return descendants.findIndex(item => getDescendantKey(item) === key);
+	}, [store, descendants, key]);
+	return useSyncExternalStore(
+		store ? store.subscribe : subscribeNoop,
+		getIndex,
+		getIndex,
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+const DescendantPortalContext = createNamedContext(
+	'DescendantPortalContext',
+	[],
+);
+
+/**
+ * @typedef {Object} DescendantPortalProps
+ * @prop {React.ReactNode} children
+ */
+
+/**
+ * DescendantPortal marks the place a portal is declared at, so that the
+ * descendants rendered through it (e.g. with `ReactDOM.createPortal` or a
+ * third-party portal component passed as its children) keep the index they
+ * would have at that place.
+ * @param {DescendantPortalProps} props
+ * @returns {React.ReactNode}
+ */
+export function DescendantPortal({ children }) {
+	const parentAnchors = React.useContext(DescendantPortalContext);
+
+	// NOTE(joel): We use an empty `<template>` element as anchor because it is
+	// inert and allowed in places like lists and tables. We do not create the
+	// portal ourselves, so that the package can be used without `react-dom`.
+	const [anchor, anchorSet] = React.useState(null);
+	const anchors = React.useMemo(
+		() => (anchor ? [...parentAnchors, anchor] : parentAnchors),
+		[anchor, parentAnchors],
+	);
+
+	return (
+		<>
+			<template ref={anchorSet} />
+			<DescendantPortalContext.Provider value={anchors}>
+				{children}
+			</DescendantPortalContext.Provider>
+		</>
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+const DescendantGroupContext = createNamedContext(
+	'DescendantGroupContext',
+	null,
+);
+
+/**
+ * @typedef {Object} DescendantGroupProps
+ * @prop {React.Context<DescendantContextValue>} context
+ * @prop {React.ReactNode} children
+ * @prop {string} [id] Used instead of a generated id.
+ */
+
+/**
+ * DescendantGroup assigns all descendants of `context` rendered inside of it
+ * to one group. Grouped descendants record the `group` id and their
+ * `groupIndex` next to their global index. It renders no element itself.
+ * @param {DescendantGroupProps} props
+ * @returns {React.ReactNode}
+ */
+export function DescendantGroup({ context, children, id: idProp }) {
+	const generatedId = useId();
+	const id = idProp ?? generatedId;
+	const group = React.useMemo(() => ({ context, id }), [context, id]);
+	return (
+		<DescendantGroupContext.Provider value={group}>
+			{children}
+		</DescendantGroupContext.Provider>
+	);
+}
+
+/**
+ * useDescendantGroupIndex returns the index of the descendant registered by
+ * `key` (its element or `id`) within its `DescendantGroup`, or -1 if it is
+ * not registered in a group.
+ * @param {React.Context<DescendantContextValue>} context
+ * @param {DescendantKey | null | undefined} key
+ * @returns {number}
+ */
+export function useDescendantGroupIndex(context, key) {
+	const { store } = React.useContext(context);
+	const getGroupIndex = React.useCallback(
+		() => (store ? store.getGroupIndex(key) : -1),
+		[store, key],
+	);
+	return useSyncExternalStore(
+		store ? store.subscribe : subscribeNoop,
+		getGroupIndex,
+		getGroupIndex,
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
 /**
  * @typedef {Object} DescendantKeyDownOptions
  * @prop {number | null | undefined} currentIndex
  * @prop {'index' | 'option'} key
  * @prop {(descendant: Descendant) => boolean} filter
- * @prop {'vertical' | 'horizontal' | 'both'} orientation
+ * @prop {'vertical' | 'horizontal' | 'both' | 'grid' | 'spatial'} orientation
+ *   With `'spatial'`, arrow keys move to the nearest descendant in their
+ *   direction based on the rendered position of each element.
+ * @prop {number} [columns]
  * @prop {boolean} rotate
  * @prop {boolean} rtl
- * @prop {(nextOption: Descendant | Descendant[K]) => void} callback
+ * @prop {(nextOption: Descendant | number) => void} callback
+ * @prop {(index: number) => void} [scrollToIndex]
+ * @prop {() => void} [onReachEnd] Called instead of rotating or staying put
+ *   when moving past the last descendant, and on PageDown. Once new
+ *   descendants register after the last one, we move on to the first of them.
+ * @prop {() => void} [onReachStart] Like `onReachEnd`, for moving before the
+ *   first descendant and PageUp.
+ *   Without `onReachEnd` or `onReachStart` and with `rotate` disabled, moving
+ *   past the edge enters the linked `next` or `previous` collection instead.
+ * @prop {number | 'auto'} [pageSize] Makes PageUp and PageDown move by this
+ *   many descendants, or by the number of descendants visible in their scroll
+ *   container with `'auto'`, instead of to the first or last one.
+ * @prop {DescendantKeyMap} [keyMap] Replaces the default key bindings, see
+ *   `getDescendantKeyMap`. Not used with `orientation: 'grid'`.
+ * @prop {SpatialScore} [spatialScore=getSpatialScore] Scores candidates for
+ *   spatial navigation.
  */
 
 /**
@@ -220,17 +495,315 @@ export function useDescendant(descendant, context, indexProp) {
  * @prop {DescendantKeyDownOptions} options
  */
 export function useDescendantKeyDown(context, options) {
-	const { descendants } = React.useContext(context);
+	const registeredDescendants = useDescendants(context);
+	const { store, count } = React.useContext(context);
 	const {
 		callback,
+		columns,
 		currentIndex,
 		filter,
 		key = 'index',
+		keyMap,
+		onReachEnd,
+		onReachStart,
 		orientation = 'vertical',
+		pageSize,
 		rotate = true,
 		rtl = false,
+		scrollToIndex = noop,
+		spatialScore = getSpatialScore,
+	} = options;
+
+	// NOTE(joel): After `onReachEnd` or `onReachStart` we remember the
+	// descendant at the edge of the list and which way we were moving, so we
+	// can continue once more descendants registered next to it.
+	/** @type {React.MutableRefObject<{key: DescendantKey, step: 1 | -1} | null>} */
+	const pendingRef = React.useRef(null);
+
+	// NOTE(joel): This has to be a passive effect. Callbacks created with
+	// `useStableCallback` (e.g. `useRovingTabIndex().focus`) only see the new
+	// descendants once passive effects ran.
+	React.useEffect(() => {
+		const pending = pendingRef.current;
+		if (!pending) return;
+		const selectableDescendants = filter
+			? registeredDescendants.filter(filter)
+			: registeredDescendants;
+		const position = selectableDescendants.findIndex(
+			descendant => getDescendantKey(descendant) === pending.key,
+		);
+		if (position === -1) {
+			pendingRef.current = null;
+			return;
+		}
+		const next = selectableDescendants[position + pending.step];
+		if (!next) return;
+		pendingRef.current = null;
+		callback(key === 'option' ? next : next[key]);
+	}, [callback, filter, key, registeredDescendants]);
+
+	/**
+	 * getNavigation
+	 * @returns {DescendantNavigation}
+	 */
+	function getNavigation() {
+		// NOTE(joel): If the provider knows the total number of descendants,
+		// we navigate over all of them, mounted or not.
+		const descendants =
+			count != null
+				? getVirtualDescendants(registeredDescendants, count)
+				: registeredDescendants;
+		return createDescendantNavigation(descendants, {
+			currentIndex,
+			filter,
+			rotate,
+		});
+	}
+
+	/**
+	 * select passes the next descendant to `callback`. Descendants that are
+	 * not mounted are requested through `scrollToIndex` first.
+	 * @param {Descendant} option
+	 */
+	function select(option) {
+		if (!option) return;
+		if (!option.element) scrollToIndex(option.index);
+		callback(key === 'option' ? option : option[key]);
+	}
+
+	// NOTE(joel): A linked collection passes control to us by entering our
+	// registry. We move there the same way our own key handling would, and
+	// tell it whether there was anything to move to. Unlike a stable
+	// callback, the ref keeps the return value.
+	/** @type {React.MutableRefObject<(entry: DescendantEntry) => boolean>} */
+	const handleEnterRef = React.useRef(null);
+	useLayoutEffect(() => {
+		handleEnterRef.current = entry => {
+			const option = getNavigation().getEntryOption(entry);
+			select(option);
+			return option != null;
+		};
+	});
+	useLayoutEffect(() => {
+		if (!store) return;
+		return store.subscribeEnter(entry => handleEnterRef.current(entry));
+	}, [store]);
+
+	/**
+	 * enterLink passes control to the collection linked by `relation`.
+	 * @param {DescendantLinkRelation} relation
+	 * @param {DescendantEntry} entry
+	 * @returns {boolean} False if there is no such collection.
+	 */
+	function enterLink(relation, entry) {
+		const linked = store && store.getLink(relation);
+		return linked ? linked.enter(entry) : false;
+	}
+
+	/**
+	 * reachEdge asks the consumer for more descendants after (`step` 1) or
+	 * before (`step` -1) `edge`.
+	 * @param {Descendant} edge
+	 * @param {1 | -1} step
+	 */
+	function reachEdge(edge, step) {
+		const key = getDescendantKey(edge);
+		if (key != null) pendingRef.current = { key, step };
+		(step === 1 ? onReachEnd : onReachStart)();
+	}
+
+	/**
+	 * handleKeyDown
+	 * @param {React.KeyboardEvent} event
+	 */
+	function handleKeyDown(event) {
+		// NOTE(joel): Grids have their own two-dimensional key handling, which
+		// is not configurable through `keyMap`.
+		const action =
+			orientation === 'grid'
+				? gridKeys.includes(event.key) && 'grid'
+				: getKeyMapAction(
+						keyMap ?? getDescendantKeyMap(orientation, rtl),
+						event,
+				  );
+		if (!action) return;
+
+		pendingRef.current = null;
+
+		const navigation = getNavigation();
+		if (!navigation.descendants.length) return;
+
+		if (action === 'grid') {
+			const descendants =
+				count != null
+					? getVirtualDescendants(registeredDescendants, count)
+					: registeredDescendants;
+			const next = getGridOption(event, descendants, {
+				columns,
+				currentIndex,
+				filter,
+				rotate,
+				rtl,
+			});
+			event.preventDefault();
+			select(next);
+			return;
+		}
+
+		const first = navigation.getFirstOption();
+		const last = navigation.getLastOption();
+		const atStart = navigation.current === first;
+		const atEnd = navigation.current === last;
+
+		/**
+		 * selectPage selects the descendant one page away and scrolls it into
+		 * view, as moving focus alone does not scroll when using
+		 * `aria-activedescendant`. Paging is meant to reveal more descendants,
+		 * so without a `pageSize` we rather load more than jump to the first or
+		 * last one.
+		 * @param {1 | -1} step
+		 */
+		function selectPage(step) {
+			const onReachEdge = step === 1 ? onReachEnd : onReachStart;
+			if (onReachEdge && (pageSize == null || (step === 1 ? atEnd : atStart))) {
+				reachEdge(step === 1 ? last : first, step);
+				return;
+			}
+			if (pageSize == null) {
+				select(step === 1 ? last : first);
+				return;
+			}
+
+			const size =
+				pageSize === 'auto'
+					? getVisiblePageSize(
+							navigation.descendants,
+							navigation.current,
+							orientation,
+					  )
+					: pageSize;
+			const option = navigation.getPageOption(step, size);
+			select(option);
+			if (option && option.element && option.element.scrollIntoView) {
+				option.element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+			}
+		}
+
+		event.preventDefault();
+		switch (action) {
+			case 'next':
+				if (atEnd && onReachEnd) reachEdge(last, 1);
+				else if (!(atEnd && !rotate && enterLink('next', 'first'))) {
+					select(navigation.getNextOption());
+				}
+				break;
+			case 'previous':
+				if (atStart && onReachStart) reachEdge(first, -1);
+				else if (!(atStart && !rotate && enterLink('previous', 'last'))) {
+					select(navigation.getPreviousOption());
+				}
+				break;
+			case 'first':
+				if (atStart && onReachStart) reachEdge(first, -1);
+				else select(first);
+				break;
+			case 'last':
+				if (atEnd && onReachEnd) reachEdge(last, 1);
+				else select(last);
+				break;
+			case 'pageNext':
+				selectPage(1);
+				break;
+			case 'pagePrevious':
+				selectPage(-1);
+				break;
+			case 'nextGroup':
+				select(navigation.getNextGroupOption());
+				break;
+			case 'previousGroup':
+				select(navigation.getPreviousGroupOption());
+				break;
+			case 'up':
+			case 'down':
+			case 'left':
+			case 'right':
+				select(navigation.getSpatialOption(action, spatialScore));
+				break;
+			case 'child':
+				enterLink('child', 'first');
+				break;
+			case 'parent':
+				enterLink('parent', 'active');
+				break;
+			case 'parentNext':
+				enterLink('parent', 'next');
+				break;
+			case 'parentPrevious':
+				enterLink('parent', 'previous');
+				break;
+			default:
+				if (typeof action === 'function') select(action(navigation, event));
+		}
+	}
+
+	return handleKeyDown;
+}
+
+const gridKeys = [
+	'ArrowDown',
+	'ArrowUp',
+	'ArrowLeft',
+	'ArrowRight',
+	'PageUp',
+	'PageDown',
+	'Home',
+	'End',
+];
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} DescendantTreeKeyDownOptions
+ * @prop {number | null | undefined} currentIndex
+ * @prop {'index' | 'option'} key
+ * @prop {(descendant: Descendant) => boolean} filter
+ * @prop {boolean} rotate
+ * @prop {boolean} rtl
+ * @prop {(nextOption: Descendant | number) => void} callback
+ * @prop {(option: Descendant | number) => void} onExpand
+ * @prop {(option: Descendant | number) => void} onCollapse
+ */
+
+/**
+ * useDescendantTreeKeyDown implements keyboard navigation for descendants
+ * registered to a `DescendantProvider` in `tree` mode. Descendants describe
+ * their state with an `expanded` field, which should be left `undefined` for
+ * leaf nodes. Only visible descendants, i.e. those whose ancestors are all
+ * expanded, can be navigated to.
+ * @prop {React.Context<DescendantContextValue>} context
+ * @prop {DescendantTreeKeyDownOptions} options
+ */
+export function useDescendantTreeKeyDown(context, options) {
+	const descendants = useDescendants(context);
+	const {
+		callback,
+		currentIndex,
+		filter,
+		key = 'index',
+		onCollapse = noop,
+		onExpand = noop,
+		rotate = false,
+		rtl = false,
 	} = options;
 
+	/**
+	 * getValue
+	 * @param {Descendant} descendant
+	 */
+	function getValue(descendant) {
+		return key === 'option' ? descendant : descendant[key];
+	}
+
 	/**
 	 * handleKeyDown
 	 * @param {React.KeyboardEvent} event
@@ -242,136 +815,85 @@ export function useDescendantKeyDown(context, options) {
 				'ArrowUp',
 				'ArrowLeft',
 				'ArrowRight',
-				'PageUp',
-				'PageDown',
 				'Home',
 				'End',
+				'*',
 			].includes(event.key)
 		) {
 			return;
 		}
 
-		const index = currentIndex ?? -1;
-
-		// NOTE(joel): If a custom filter function is being used, we need to
-		// re-index our descendants.
-		const selectableDescendants = filter
-			? descendants.filter(filter)
-			: descendants;
-
-		if (!selectableDescendants.length) return;
-
-		const selectableIndex = selectableDescendants.findIndex(
-			descendant => descendant.index === currentIndex,
-		);
-
-		/**
-		 * getNextOption returns the next descendant in the list of descendants
-		 * and handles looping around if we're at the last item of the list.
-		 * @returns {Descendant}
-		 */
-		function getNextOption() {
-			const atBottom = index === getLastOption().index;
-			return atBottom
-				? rotate
-					? getFirstOption()
-					: selectableDescendants[selectableIndex]
-				: selectableDescendants[
-						(selectableIndex + 1) % selectableDescendants.length
-				  ];
-		}
-
-		/**
-		 * getPreviousOption returns the previous descendant in the list of
-		 * descendants and handles looping around if we're at the first item of the
-		 * list.
-		 * @returns {Descendant}
-		 */
-		function getPreviousOption() {
-			const atTop = index === getFirstOption().index;
-			return atTop
-				? rotate
-					? getLastOption()
-					: selectableDescendants[selectableIndex]
-				: selectableDescendants[
-						(selectableIndex - 1 + selectableDescendants.length) %
-							selectableDescendants.length
-				  ];
-		}
+		const navigation = createDescendantTreeNavigation(descendants, {
+			currentIndex,
+			filter,
+			rotate,
+		});
+		if (!navigation.getFirstOption()) return;
 
 		/**
-		 * getFirstOption returns the first descendant of our list.
-		 * @returns {Descendant}
+		 * select
+		 * @param {Descendant | undefined} option
 		 */
-		function getFirstOption() {
-			return selectableDescendants[0];
+		function select(option) {
+			if (option) callback(getValue(option));
 		}
 
 		/**
-		 * getLastOption returns the last descendant of our list.
-		 * @returns {Descendant}
+		 * perform
+		 * @param {DescendantTreeAction | null} action
 		 */
-		function getLastOption() {
-			return selectableDescendants[selectableDescendants.length - 1];
+		function perform(action) {
+			if (!action) return;
+			if (action.type === 'expand') onExpand(getValue(action.option));
+			else if (action.type === 'collapse') onCollapse(getValue(action.option));
+			else select(action.option);
 		}
 
 		switch (event.key) {
 			case 'ArrowDown': {
-				if (orientation === 'vertical' || orientation === 'both') {
-					event.preventDefault();
-					let next = getNextOption();
-					callback(key === 'option' ? next : next[key]);
-				}
+				event.preventDefault();
+				select(navigation.getNextOption());
 				break;
 			}
 			case 'ArrowUp': {
-				if (orientation === 'vertical' || orientation === 'both') {
-					event.preventDefault();
-					let prev = getPreviousOption();
-					callback(key === 'option' ? prev : prev[key]);
-				}
-				break;
-			}
-			case 'ArrowLeft': {
-				if (orientation === 'horizontal' || orientation === 'both') {
-					event.preventDefault();
-					let nextOrPrev = (rtl ? getNextOption : getPreviousOption)();
-					callback(key === 'option' ? nextOrPrev : nextOrPrev[key]);
-				}
+				event.preventDefault();
+				select(navigation.getPreviousOption());
 				break;
 			}
 			case 'ArrowRight': {
-				if (orientation === 'horizontal' || orientation === 'both') {
-					event.preventDefault();
-					let prevOrNext = (rtl ? getPreviousOption : getNextOption)();
-					callback(key === 'option' ? prevOrNext : prevOrNext[key]);
-				}
+				event.preventDefault();
+				perform(
+					rtl
+						? navigation.getCollapseOrExitAction()
+						: navigation.getExpandOrEnterAction(),
+				);
 				break;
 			}
-			case 'PageUp': {
+			case 'ArrowLeft': {
 				event.preventDefault();
-				let prevOrFirst = (
-					event.ctrlKey ? getPreviousOption : getFirstOption
-				)();
-				callback(key === 'option' ? prevOrFirst : prevOrFirst[key]);
+				perform(
+					rtl
+						? navigation.getExpandOrEnterAction()
+						: navigation.getCollapseOrExitAction(),
+				);
 				break;
 			}
 			case 'Home': {
 				event.preventDefault();
-				let first = getFirstOption();
-				callback(key === 'option' ? first : first[key]);
+				select(navigation.getFirstOption());
 				break;
 			}
-			case 'PageDown': {
+			case 'End': {
 				event.preventDefault();
-				let nextOrLast = (event.ctrlKey ? getNextOption : getLastOption)();
-				callback(key === 'option' ? nextOrLast : nextOrLast[key]);
+				select(navigation.getLastOption());
 				break;
 			}
-			case 'End': {
+			case '*': {
+				if (!navigation.current) return;
 				event.preventDefault();
-				let last = getLastOption();
-				callback(key === 'option' ? last : last[key]);
+				navigation
+					.getCollapsedSiblings()
+					.forEach(sibling => onExpand(getValue(sibling)));
 				break;
 			}
 		}
@@ -379,3 +901,1007 @@ export function useDescendantKeyDown(context, options) {
 
 	return handleKeyDown;
 }
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} DescendantTypeaheadOptions
+ * @prop {number | null | undefined} currentIndex
+ * @prop {'index' | 'option'} key
+ * @prop {(descendant: Descendant) => boolean} filter
+ * @prop {string} textKey
+ * @prop {number} timeout
+ * @prop {(nextOption: Descendant | number) => void} callback
+ */
+
+/**
+ * useDescendantTypeahead
+ * @prop {React.Context<DescendantContextValue>} context
+ * @prop {DescendantTypeaheadOptions} options
+ */
+export function useDescendantTypeahead(context, options) {
+	const descendants = useDescendants(context);
+	const {
+		callback,
+		currentIndex,
+		filter,
+		key = 'index',
+		textKey = 'key',
+		timeout = 500,
+	} = options;
+
+	const searchRef = React.useRef('');
+	const timeoutRef = React.useRef(null);
+
+	// NOTE(joel): Clear a pending reset timeout if we unmount mid-search.
+	React.useEffect(() => () => clearTimeout(timeoutRef.current), []);
+
+	/**
+	 * handleKeyDown
+	 * @param {React.KeyboardEvent} event
+	 */
+	function handleKeyDown(event) {
+		// NOTE(joel): Only printable characters take part in typeahead. Modifier
+		// combinations are most likely shortcuts (e.g. Ctrl+A) and have to be
+		// left alone.
+		if (
+			event.key.length !== 1 ||
+			event.ctrlKey ||
+			event.metaKey ||
+			event.altKey
+		) {
+			return;
+		}
+
+		// NOTE(joel): A leading space usually selects the current item, so we
+		// only treat it as part of the search string once a search is running.
+		if (event.key === ' ' && searchRef.current === '') return;
+
+		if (!descendants.some(descendant => !filter || filter(descendant))) {
+			return;
+		}
+
+		searchRef.current += event.key.toLowerCase();
+		clearTimeout(timeoutRef.current);
+		timeoutRef.current = setTimeout(() => {
+			searchRef.current = '';
+		}, timeout);
+
+		const match = getTypeaheadOption(descendants, searchRef.current, {
+			currentIndex,
+			filter,
+			textKey,
+		});
+		if (!match) return;
+
+		event.preventDefault();
+		callback(key === 'option' ? match : match[key]);
+	}
+
+	return handleKeyDown;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * useDescendantView matches the registered descendants against a query, e.g.
+ * the input of a combobox. The result is only recomputed when the
+ * descendants or the options change, so pass a memoized `match` function.
+ * Hidden descendants stay registered; pass `view.filter` to
+ * `useDescendantKeyDown` and `useDescendantItemAria` to skip them and
+ * render them hidden (`view.getViewIndex(index) === -1`).
+ * @param {React.Context<DescendantContextValue>} context
+ * @param {DescendantViewOptions} [options={}]
+ * @returns {DescendantView}
+ */
+export function useDescendantView(context, options = {}) {
+	const descendants = useDescendants(context);
+	const { query, textKey, match } = options;
+	return React.useMemo(
+		() => createDescendantView(descendants, { query, textKey, match }),
+		[descendants, query, textKey, match],
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} RovingTabIndexOptions
+ * @prop {number} [defaultIndex=0] Used while the provider has no active
+ *   descendant.
+ * @prop {(descendant: Descendant) => boolean} [filter]
+ */
+
+/**
+ * @typedef {Object} RovingTabIndex
+ * @prop {number} activeIndex
+ * @prop {(index: number) => void} setActiveIndex
+ * @prop {(index: number) => void} focus
+ */
+
+/**
+ * useRovingTabIndex moves DOM focus between descendants and keeps the active
+ * descendant of the `DescendantProvider` (see `useActiveDescendant`), which is
+ * the one descendant that is part of the tab sequence, on a descendant
+ * accepted by `filter`. It has to be called inside of the
+ * `DescendantProvider`.
+ * @param {React.Context<DescendantContextValue>} context
+ * @param {RovingTabIndexOptions} [options={}]
+ * @returns {RovingTabIndex}
+ */
+export function useRovingTabIndex(context, options = {}) {
+	const descendants = useDescendants(context);
+	const { count } = React.useContext(context);
+	const { activeIndex, activeElement, setActiveIndex } =
+		useActiveDescendant(context);
+	const { defaultIndex = 0, filter } = options;
+
+	// NOTE(joel): The provider follows the active descendant across reorders
+	// and picks another one when it unregisters. We only remember its element
+	// to notice when it was removed while focused.
+	const activeElementRef = React.useRef(null);
+	const focusRequestRef = React.useRef(false);
+
+	const focus = useStableCallback(index => {
+		setActiveIndex(index);
+		const descendant = descendants.find(item => item.index === index);
+		if (descendant && descendant.element) {
+			descendant.element.focus();
+		} else {
+			// NOTE(joel): The descendant has not registered yet. We focus it as
+			// soon as it shows up.
+			focusRequestRef.current = true;
+		}
+	});
+
+	useLayoutEffect(() => {
+		const selectableDescendants = filter
+			? descendants.filter(filter)
+			: descendants;
+		const active = selectableDescendants.find(
+			item => item.index === activeIndex,
+		);
+
+		// NOTE(joel): Without an active descendant, or if it is filtered out,
+		// the first selectable one from `defaultIndex` (or the active index) on
+		// becomes active. A pending focus request waits for its descendant to
+		// register instead.
+		if (!active) {
+			if (focusRequestRef.current || !selectableDescendants.length) return;
+			// NOTE(joel): In virtualized lists the active descendant most likely
+			// scrolled out of view. It is still active, just not mounted.
+			const mounted = descendants.some(item => item.index === activeIndex);
+			if (count != null && !mounted && activeIndex !== -1) return;
+			const from = activeIndex !== -1 ? activeIndex : defaultIndex;
+			const next =
+				selectableDescendants.find(item => item.index >= from) ??
+				selectableDescendants[selectableDescendants.length - 1];
+			setActiveIndex(next.index);
+			return;
+		}
+
+		const prevElement = activeElementRef.current;
+		activeElementRef.current = active.element;
+
+		// NOTE(joel): Removing a focused element moves focus to the document
+		// body. Move it to the new active descendant instead.
+		const focusLost =
+			prevElement != null &&
+			prevElement !== active.element &&
+			!prevElement.isConnected &&
+			(prevElement.ownerDocument.activeElement == null ||
+				prevElement.ownerDocument.activeElement ===
+					prevElement.ownerDocument.body);
+
+		if ((focusRequestRef.current || focusLost) && active.element) {
+			focusRequestRef.current = false;
+			active.element.focus();
+		}
+	}, [
+		activeElement,
+		activeIndex,
+		count,
+		defaultIndex,
+		descendants,
+		filter,
+		setActiveIndex,
+	]);
+
+	return { activeIndex, setActiveIndex, focus };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} RovingTabIndexItemProps
+ * @prop {(element: SomeElement | null) => void} ref
+ * @prop {0 | -1} tabIndex
+ * @prop {(event: React.FocusEvent) => void} onFocus
+ */
+
+/**
+ * @typedef {Object} RovingTabIndexItem
+ * @prop {number} index
+ * @prop {RovingTabIndexItemProps} props
+ */
+
+/**
+ * useRovingTabIndexItem registers a descendant for the element its `ref`
+ * prop is attached to and returns the descendant's index along with the
+ * props it needs to take part in the roving tab index of `useRovingTabIndex`.
+ * @param {React.Context<DescendantContextValue>} context
+ * @param {Object} [descendant={}] Additional descendant fields, e.g. the
+ *   ones read by `filter`.
+ * @param {number} [indexProp=]
+ * @returns {RovingTabIndexItem}
+ */
+export function useRovingTabIndexItem(context, descendant = {}, indexProp) {
+	// NOTE(joel): We use a stateful ref, as the descendant has to register
+	// again once its element is set.
+	const [element, elementSet] = React.useState(null);
+	const descendantWithElement = React.useMemo(
+		() => ({ ...descendant, element }),
+		// NOTE(joel): Like in `useDescendant`, the fields do not have to be
+		// memoized by the caller.
+		// eslint-disable-next-line react-hooks/exhaustive-deps
+		[element, ...Object.values(descendant)],
+	);
+	const index = useDescendant(descendantWithElement, context, indexProp);
+	const { activeIndex, setActiveIndex } = useActiveDescendant(context);
+
+	const onFocus = React.useCallback(() => {
+		if (index !== -1) setActiveIndex(index);
+	}, [index, setActiveIndex]);
+
+	return {
+		index,
+		props: {
+			ref: elementSet,
+			tabIndex: index !== -1 && index === activeIndex ? 0 : -1,
+			onFocus,
+		},
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} DescendantSelectionOptions
+ * @prop {'single' | 'multiple'} [mode='single']
+ * @prop {string} [valueKey='value'] The descendant field selection is tracked
+ *   by. Unlike indexes, its value has to stay the same across reorders.
+ * @prop {Array<any>} [selected] Controlled selection.
+ * @prop {Array<any>} [defaultSelected=[]] Initial uncontrolled selection.
+ * @prop {(selected: Array<any>) => void} [onSelectedChange]
+ * @prop {(descendant: Descendant) => boolean} [filter]
+ * @prop {number | null | undefined} [currentIndex]
+ * @prop {'vertical' | 'horizontal' | 'both'} [orientation='vertical']
+ * @prop {'index' | 'option'} [key='index']
+ * @prop {(nextOption: Descendant | number) => void} [callback] Called
+ *   with the descendant Shift+Arrow moved to.
+ */
+
+/**
+ * @typedef {Object} DescendantSelection
+ * @prop {Array<any>} selected
+ * @prop {(value: any) => boolean} isSelected
+ * @prop {(value: any, event?: React.MouseEvent | React.KeyboardEvent) => void} select
+ * @prop {(selected: Array<any>) => void} setSelected
+ * @prop {() => void} selectAll
+ * @prop {() => void} clear
+ * @prop {(event: React.KeyboardEvent) => void} handleKeyDown
+ */
+
+/**
+ * useDescendantSelection tracks which descendants are selected by their
+ * `valueKey` field. `select` is meant for click handlers and reads Shift
+ * (extend the range from the anchor) and Ctrl/Cmd (toggle) from the event.
+ * `handleKeyDown` handles Space, Shift+Arrow, Shift+Home/End and Ctrl+A and
+ * calls `event.preventDefault()` for every key it handles, so it can run in
+ * front of `useDescendantKeyDown`.
+ * @param {React.Context<DescendantContextValue>} context
+ * @param {DescendantSelectionOptions} [options={}]
+ * @returns {DescendantSelection}
+ */
+export function useDescendantSelection(context, options = {}) {
+	const descendants = useDescendants(context);
+	const {
+		callback = noop,
+		currentIndex,
+		defaultSelected = [],
+		filter,
+		key = 'index',
+		mode = 'single',
+		onSelectedChange = noop,
+		orientation = 'vertical',
+		selected: selectedProp,
+		valueKey = 'value',
+	} = options;
+
+	const [uncontrolledSelected, uncontrolledSelectedSet] =
+		React.useState(defaultSelected);
+	const isControlled = selectedProp !== undefined;
+	const selected = isControlled ? selectedProp : uncontrolledSelected;
+
+	// NOTE(joel): The anchor is the value ranges are extended from. It is kept
+	// by value as well, so it survives reorders.
+	const anchorRef = React.useRef(null);
+
+	const setSelected = useStableCallback(nextSelected => {
+		if (!isControlled) uncontrolledSelectedSet(nextSelected);
+		onSelectedChange(nextSelected);
+	});
+
+	/**
+	 * getSelectableDescendants
+	 * @returns {Array<Descendant>}
+	 */
+	function getSelectableDescendants() {
+		return filter ? descendants.filter(filter) : descendants;
+	}
+
+	/**
+	 * isSelectable returns false for values of descendants that are filtered
+	 * out. Values of descendants that are not registered (e.g. in virtualized
+	 * lists) can still be selected.
+	 * @param {any} value
+	 * @returns {boolean}
+	 */
+	function isSelectable(value) {
+		const descendant = descendants.find(item => item[valueKey] === value);
+		return !descendant || !filter || filter(descendant);
+	}
+
+	/**
+	 * getRange returns the values of all selectable descendants between the
+	 * anchor and `value`, both included.
+	 * @param {any} value
+	 * @returns {Array<any>}
+	 */
+	function getRange(value) {
+		const values = getSelectableDescendants().map(item => item[valueKey]);
+		const end = values.indexOf(value);
+		let start = values.indexOf(anchorRef.current);
+		if (start === -1) start = end;
+		return values.slice(Math.min(start, end), Math.max(start, end) + 1);
+	}
+
+	/**
+	 * update changes the selection for `value`.
+	 * @param {any} value
+	 * @param {Object} modifiers
+	 * @param {boolean} [modifiers.extend] Select the range from the anchor.
+	 * @param {boolean} [modifiers.toggle] Keep the rest of the selection.
+	 */
+	function update(value, { extend = false, toggle = false }) {
+		if (!isSelectable(value)) return;
+
+		if (mode === 'single') {
+			anchorRef.current = value;
+			setSelected([value]);
+			return;
+		}
+
+		if (extend) {
+			const range = getRange(value);
+			setSelected(
+				toggle ? Array.from(new Set([...selected, ...range])) : range,
+			);
+			return;
+		}
+
+		anchorRef.current = value;
+		if (!toggle) {
+			setSelected([value]);
+		} else if (selected.includes(value)) {
+			setSelected(selected.filter(item => item !== value));
+		} else {
+			setSelected([...selected, value]);
+		}
+	}
+
+	const select = useStableCallback((value, event = {}) => {
+		update(value, {
+			extend: event.shiftKey,
+			toggle: event.ctrlKey || event.metaKey,
+		});
+	});
+
+	const selectAll = useStableCallback(() => {
+		if (mode !== 'multiple') return;
+		setSelected(getSelectableDescendants().map(item => item[valueKey]));
+	});
+
+	const clear = useStableCallback(() => {
+		anchorRef.current = null;
+		setSelected([]);
+	});
+
+	const isSelected = React.useCallback(
+		value => selected.includes(value),
+		[selected],
+	);
+
+	/**
+	 * handleKeyDown
+	 * @param {React.KeyboardEvent} event
+	 */
+	function handleKeyDown(event) {
+		const modifier = event.ctrlKey || event.metaKey;
+		if (modifier && !event.altKey && event.key.toLowerCase() === 'a') {
+			if (mode !== 'multiple') return;
+			event.preventDefault();
+			selectAll();
+			return;
+		}
+
+		const selectableDescendants = getSelectableDescendants();
+		const selectableIndex = selectableDescendants.findIndex(
+			descendant => descendant.index === currentIndex,
+		);
+		const current = selectableDescendants[selectableIndex];
+
+		if (event.key === ' ') {
+			if (!current) return;
+			event.preventDefault();
+			// NOTE(joel): In multiple mode Space toggles the current descendant,
+			// the same way a click with Ctrl/Cmd does.
+			update(current[valueKey], {
+				extend: event.shiftKey,
+				toggle: mode === 'multiple',
+			});
+			return;
+		}
+
+		if (!event.shiftKey || mode !== 'multiple') return;
+
+		const nextKeys = ['End'];
+		const prevKeys = ['Home'];
+		if (orientation !== 'horizontal') {
+			nextKeys.push('ArrowDown');
+			prevKeys.push('ArrowUp');
+		}
+		if (orientation !== 'vertical') {
+			nextKeys.push('ArrowRight');
+			prevKeys.push('ArrowLeft');
+		}
+
+		let next;
+		if (event.key === 'Home') {
+			next = selectableDescendants[0];
+		} else if (event.key === 'End') {
+			next = selectableDescendants[selectableDescendants.length - 1];
+		} else if (nextKeys.includes(event.key)) {
+			next =
+				selectableDescendants[
+					Math.min(selectableIndex + 1, selectableDescendants.length - 1)
+				];
+		} else if (prevKeys.includes(event.key)) {
+			next = selectableDescendants[Math.max(selectableIndex - 1, 0)];
+		} else {
+			return;
+		}
+		if (!next) return;
+
+		event.preventDefault();
+		// NOTE(joel): Without an anchor, the range starts at the descendant we
+		// are moving away from.
+		const values = selectableDescendants.map(item => item[valueKey]);
+		if (current && !values.includes(anchorRef.current)) {
+			anchorRef.current = current[valueKey];
+		}
+		update(next[valueKey], { extend: true });
+		callback(key === 'option' ? next : next[key]);
+	}
+
+	return {
+		selected,
+		isSelected,
+		select,
+		setSelected,
+		selectAll,
+		clear,
+		handleKeyDown,
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} ActiveDescendant
+ * @prop {number} activeIndex
+ * @prop {SomeElement | null} activeElement
+ * @prop {(index: number) => void} setActiveIndex
+ */
+
+/**
+ * useActiveDescendant returns the active descendant managed by the
+ * `DescendantProvider`. The provider tracks it by its element, so it keeps
+ * pointing at the same descendant when others are inserted, removed or
+ * reordered. When the active descendant itself unregisters, the provider's
+ * `activeFallback` decides which descendant becomes active instead.
+ * @param {React.Context<DescendantContextValue>} context
+ * @returns {ActiveDescendant}
+ */
+export function useActiveDescendant(context) {
+	const { store } = React.useContext(context);
+	const subscribe = store ? store.subscribe : subscribeNoop;
+	const activeIndex = useSyncExternalStore(
+		subscribe,
+		store ? store.getActiveIndex : getNoActiveIndex,
+		store ? store.getActiveIndex : getNoActiveIndex,
+	);
+	const activeElement = useSyncExternalStore(
+		subscribe,
+		store ? store.getActiveElement : getNoActiveElement,
+		getNoActiveElement,
+	);
+	return {
+		activeIndex,
+		activeElement,
+		setActiveIndex: store ? store.setActiveIndex : noop,
+	};
+}
+
+/**
+ * getNoActiveIndex
+ * @returns {number}
+ */
+function getNoActiveIndex() {
+	return -1;
+}
+
+/**
+ * getNoActiveElement
+ * @returns {null}
+ */
+function getNoActiveElement() {
+	return null;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} DescendantItemAriaOptions
+ * @prop {string} [id] Used instead of a generated id.
+ * @prop {(descendant: Descendant) => boolean} [filter] Descendants that are
+ *   filtered out (e.g. hidden ones) do not count towards the set size.
+ */
+
+/**
+ * @typedef {Object} DescendantItemAriaProps
+ * @prop {string} id
+ * @prop {number | undefined} aria-posinset
+ * @prop {number | undefined} aria-setsize
+ */
+
+/**
+ * useDescendantItemAria returns a stable `id` and the `aria-posinset` and
+ * `aria-setsize` of the descendant at `index`, relative to its
+ * `DescendantGroup` if it has one. Before the descendant is registered (e.g.
+ * during server rendering), `aria-posinset` is based on `index` unless there
+ * is a `filter` or a group, and `aria-setsize` is left out. Both are left out
+ * if the descendant is filtered out itself. In virtualized lists, positions
+ * are based on the provider's `count` and `filter` is ignored, since we
+ * cannot know about descendants that are not mounted.
+ * Pass a memoized `filter`, so that all descendants share one pass over the
+ * registered descendants.
+ * @param {React.Context<DescendantContextValue>} context
+ * @param {number} index
+ * @param {DescendantItemAriaOptions} [options={}]
+ * @returns {DescendantItemAriaProps}
+ */
+export function useDescendantItemAria(context, index, options = {}) {
+	const { store, count, descendants } = React.useContext(context);
+	const group = React.useContext(DescendantGroupContext);
+	const { id: idProp, filter } = options;
+	const generatedId = useId();
+	const id = idProp ?? generatedId;
+
+	// NOTE(joel): We only subscribe to our own position and set size, so other
+	// descendants registering only re-render us if either of them changes.
+	const getPosition = React.useCallback(() => {
+		const snapshot = store ? store.getSnapshot() : descendants;
+		return getDescendantPositions(snapshot, filter).get(index);
+	}, [store, descendants, filter, index]);
+	const getPositionInSet = React.useCallback(
+		() => getPosition()?.position ?? -1,
+		[getPosition],
+	);
+	const getSetSize = React.useCallback(
+		() => getPosition()?.size ?? -1,
+		[getPosition],
+	);
+	const subscribe = store ? store.subscribe : subscribeNoop;
+	const position = useSyncExternalStore(
+		subscribe,
+		getPositionInSet,
+		getPositionInSet,
+	);
+	const size = useSyncExternalStore(subscribe, getSetSize, getSetSize);
+
+	if (count != null) {
+		return {
+			id,
+			'aria-posinset': index !== -1 ? index + 1 : undefined,
+			'aria-setsize': count,
+		};
+	}
+
+	if (position === -1) {
+		// NOTE(joel): Without a filter or group, our index is our position, even
+		// if it is only based on render order so far.
+		const grouped = group != null && group.context === context;
+		return {
+			id,
+			'aria-posinset':
+				!filter && !grouped && index !== -1 ? index + 1 : undefined,
+			'aria-setsize': undefined,
+		};
+	}
+
+	return { id, 'aria-posinset': position, 'aria-setsize': size };
+}
+
+// NOTE(joel): Stands in for a missing filter, which cannot be a WeakMap key.
+const noFilter = {};
+
+/** @type {WeakMap<Object, WeakMap<Array<Descendant>, Map<number, {position: number, size: number}>>>} */
+const positionsByFilter = new WeakMap();
+
+/**
+ * getDescendantPositions maps the index of every descendant accepted by
+ * `filter` to its 1-based position within its group (or among the
+ * descendants outside of a group) and the size of that set. Results are
+ * cached per snapshot and filter.
+ * @param {Array<Descendant>} descendants
+ * @param {((descendant: Descendant) => boolean) | undefined} filter
+ * @returns {Map<number, {position: number, size: number}>}
+ */
+function getDescendantPositions(descendants, filter) {
+	const filterKey = filter ?? noFilter;
+	let bySnapshot = positionsByFilter.get(filterKey);
+	if (!bySnapshot) {
+		bySnapshot = new WeakMap();
+		positionsByFilter.set(filterKey, bySnapshot);
+	}
+	let positions = bySnapshot.get(descendants);
+	if (positions) return positions;
+
+	// NOTE(joel): Grouped descendants are counted within their group, as
+	// assistive technology announces positions relative to the group.
+	const accepted = filter ? descendants.filter(filter) : descendants;
+	const sizes = new Map();
+	for (const { group } of accepted) {
+		sizes.set(group, (sizes.get(group) ?? 0) + 1);
+	}
+	const counts = new Map();
+	positions = new Map();
+	for (const { group, index } of accepted) {
+		const position = (counts.get(group) ?? 0) + 1;
+		counts.set(group, position);
+		positions.set(index, { position, size: sizes.get(group) });
+	}
+	bySnapshot.set(descendants, positions);
+	return positions;
+}
+
+/**
+ * @typedef {Object} DescendantListAriaOptions
+ * @prop {number} [activeIndex] Defaults to the active descendant of the
+ *   provider, see `useActiveDescendant`.
+ */
+
+/**
+ * useDescendantListAria returns the `aria-activedescendant` of a container
+ * that keeps DOM focus while its descendants are navigated. It is the id of
+ * the active descendant's element, e.g. the one set by
+ * `useDescendantItemAria`.
+ * @param {React.Context<DescendantContextValue>} context
+ * @param {DescendantListAriaOptions} [options={}]
+ * @returns {{'aria-activedescendant': string | undefined}}
+ */
+export function useDescendantListAria(context, options = {}) {
+	const descendants = useDescendants(context);
+	const { activeIndex: providerActiveIndex } = useActiveDescendant(context);
+	const { activeIndex = providerActiveIndex } = options;
+	const active = descendants.find(
+		descendant => descendant.index === activeIndex,
+	);
+	return {
+		'aria-activedescendant':
+			active && active.element && active.element.id
+				? active.element.id
+				: undefined,
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} DescendantReorderAnnouncement
+ * @prop {string} label
+ * @prop {number} position 1-based position the descendant would be dropped at.
+ * @prop {number} count
+ */
+
+/**
+ * @typedef {Object} DescendantReorderMessages
+ * @prop {(announcement: DescendantReorderAnnouncement) => string} grabbed
+ * @prop {(announcement: DescendantReorderAnnouncement) => string} moved
+ * @prop {(announcement: DescendantReorderAnnouncement) => string} dropped
+ * @prop {(announcement: DescendantReorderAnnouncement) => string} canceled
+ */
+
+/** @type {DescendantReorderMessages} */
+const defaultReorderMessages = {
+	grabbed: ({ label, position, count }) =>
+		`Grabbed ${label}. Current position ${position} of ${count}. Use the ` +
+		`arrow keys to move, Space to drop or Escape to cancel.`,
+	moved: ({ label, position, count }) =>
+		`${label} moved to position ${position} of ${count}.`,
+	dropped: ({ label, position, count }) =>
+		`Dropped ${label} at position ${position} of ${count}.`,
+	canceled: ({ label, position, count }) =>
+		`Reordering canceled. ${label} returned to position ${position} of ` +
+		`${count}.`,
+};
+
+/**
+ * @typedef {Object} DescendantReorderOptions
+ * @prop {(fromIndex: number, toIndex: number) => void} onReorder
+ * @prop {number | null | undefined} currentIndex
+ * @prop {'vertical' | 'horizontal'} [orientation='vertical']
+ * @prop {boolean} [rtl=false]
+ * @prop {string} [textKey='key'] The descendant field announcements refer
+ *   to a descendant by.
+ * @prop {Partial<DescendantReorderMessages>} [messages]
+ */
+
+/**
+ * @typedef {Object} DescendantReorderItemProps
+ * @prop {(event: React.PointerEvent) => void} onPointerDown
+ */
+
+/**
+ * @typedef {Object} DescendantReorder
+ * @prop {number} fromIndex Index of the grabbed descendant, or -1.
+ * @prop {number} toIndex Index the grabbed descendant would be dropped at,
+ *   or -1.
+ * @prop {(event: React.KeyboardEvent) => void} handleKeyDown
+ * @prop {(index: number) => DescendantReorderItemProps} getItemProps
+ */
+
+/**
+ * useDescendantReorder lets users move descendants around. Alt+Arrow moves
+ * the current descendant right away. Space picks it up, the arrow keys move
+ * it, Space drops it and Escape cancels. With a pointer, descendants are
+ * dragged onto the position of another descendant. The new order is passed
+ * to `onReorder`, which has to update the rendered order, and announced
+ * through an ARIA live region.
+ * @param {React.Context<DescendantContextValue>} context
+ * @param {DescendantReorderOptions} options
+ * @returns {DescendantReorder}
+ */
+export function useDescendantReorder(context, options) {
+	const descendants = useDescendants(context);
+	const {
+		currentIndex,
+		messages: messagesProp,
+		onReorder,
+		orientation = 'vertical',
+		rtl = false,
+		textKey = 'key',
+	} = options;
+	const messages = { ...defaultReorderMessages, ...messagesProp };
+
+	/** @type {[{fromIndex: number, toIndex: number} | null, Function]} */
+	const [drag, dragSet] = React.useState(null);
+	const withElement = descendants.find(item => item.element);
+	const announce = useLiveRegion(
+		withElement ? withElement.element.ownerDocument : null,
+	);
+
+	/**
+	 * describe
+	 * @param {number} index Index of the descendant to describe.
+	 * @param {number} position Index it would be dropped at.
+	 * @returns {DescendantReorderAnnouncement}
+	 */
+	function describe(index, position) {
+		const descendant = descendants.find(item => item.index === index);
+		return {
+			label: String((descendant && descendant[textKey]) ?? index + 1),
+			position: position + 1,
+			count: descendants.length,
+		};
+	}
+
+	/**
+	 * clamp
+	 * @param {number} index
+	 * @returns {number}
+	 */
+	function clamp(index) {
+		return Math.max(0, Math.min(index, descendants.length - 1));
+	}
+
+	/**
+	 * drop ends a drag and reorders, unless the descendant was dropped where
+	 * it started.
+	 * @param {number} fromIndex
+	 * @param {number} toIndex
+	 */
+	function drop(fromIndex, toIndex) {
+		dragSet(null);
+		announce(messages.dropped(describe(fromIndex, toIndex)));
+		if (fromIndex !== toIndex) onReorder(fromIndex, toIndex);
+	}
+
+	/**
+	 * handleKeyDown
+	 * @param {React.KeyboardEvent} event
+	 */
+	function handleKeyDown(event) {
+		let step = 0;
+		if (orientation === 'vertical') {
+			if (event.key === 'ArrowDown') step = 1;
+			if (event.key === 'ArrowUp') step = -1;
+		} else {
+			if (event.key === 'ArrowRight') step = rtl ? -1 : 1;
+			if (event.key === 'ArrowLeft') step = rtl ? 1 : -1;
+		}
+
+		if (drag) {
+			// NOTE(joel): While a descendant is picked up, all navigation keys are
+			// ours so that focus stays where it is.
+			event.preventDefault();
+			if (step) {
+				const toIndex = clamp(drag.toIndex + step);
+				dragSet({ ...drag, toIndex });
+				announce(messages.moved(describe(drag.fromIndex, toIndex)));
+			} else if (event.key === ' ' || event.key === 'Enter') {
+				drop(drag.fromIndex, drag.toIndex);
+			} else if (event.key === 'Escape' || event.key === 'Tab') {
+				dragSet(null);
+				announce(messages.canceled(describe(drag.fromIndex, drag.fromIndex)));
+			}
+			return;
+		}
+
+		if (currentIndex == null || currentIndex === -1) return;
+
+		if (step && event.altKey) {
+			event.preventDefault();
+			const toIndex = clamp(currentIndex + step);
+			if (toIndex === currentIndex) return;
+			announce(messages.moved(describe(currentIndex, toIndex)));
+			onReorder(currentIndex, toIndex);
+			return;
+		}
+
+		if (event.key === ' ' && !event.altKey && !event.ctrlKey) {
+			event.preventDefault();
+			dragSet({ fromIndex: currentIndex, toIndex: currentIndex });
+			announce(messages.grabbed(describe(currentIndex, currentIndex)));
+		}
+	}
+
+	// NOTE(joel): Pointer drags are tracked on the document, so that we keep
+	// getting events when the pointer leaves the descendant it started on.
+	// Hit testing with `elementFromPoint` also works for touch input, which
+	// captures the pointer to the element it went down on.
+	const pointerDragRef = React.useRef(null);
+	const handlePointerMove = useStableCallback(event => {
+		const pointerDrag = pointerDragRef.current;
+		if (!pointerDrag || event.pointerId !== pointerDrag.pointerId) return;
+		const target = event.target.ownerDocument.elementFromPoint(
+			event.clientX,
+			event.clientY,
+		);
+		const over =
+			target &&
+			descendants.find(item => item.element && item.element.contains(target));
+		if (!over || over.index === pointerDrag.toIndex) return;
+		pointerDrag.toIndex = over.index;
+		dragSet({ fromIndex: pointerDrag.fromIndex, toIndex: over.index });
+		announce(messages.moved(describe(pointerDrag.fromIndex, over.index)));
+	});
+
+	const stopPointerDrag = useStableCallback(event => {
+		const pointerDrag = pointerDragRef.current;
+		if (!pointerDrag || event.pointerId !== pointerDrag.pointerId) return;
+		pointerDragRef.current = null;
+		pointerDrag.cleanup();
+		// NOTE(joel): A click without moving to another descendant is not a
+		// drag.
+		if (
+			event.type === 'pointerup' &&
+			pointerDrag.toIndex !== pointerDrag.fromIndex
+		) {
+			drop(pointerDrag.fromIndex, pointerDrag.toIndex);
+		} else {
+			dragSet(null);
+		}
+	});
+
+	React.useEffect(
+		() => () => {
+			if (pointerDragRef.current) pointerDragRef.current.cleanup();
+		},
+		[],
+	);
+
+	const getItemProps = index => ({
+		onPointerDown(event) {
+			if (event.button !== 0 || index === -1 || pointerDragRef.current) {
+				return;
+			}
+			const ownerDocument = event.currentTarget.ownerDocument;
+			if (event.target.hasPointerCapture?.(event.pointerId)) {
+				event.target.releasePointerCapture(event.pointerId);
+			}
+			ownerDocument.addEventListener('pointermove', handlePointerMove);
+			ownerDocument.addEventListener('pointerup', stopPointerDrag);
+			ownerDocument.addEventListener('pointercancel', stopPointerDrag);
+			pointerDragRef.current = {
+				pointerId: event.pointerId,
+				fromIndex: index,
+				toIndex: index,
+				cleanup() {
+					ownerDocument.removeEventListener('pointermove', handlePointerMove);
+					ownerDocument.removeEventListener('pointerup', stopPointerDrag);
+					ownerDocument.removeEventListener('pointercancel', stopPointerDrag);
+				},
+			};
+		},
+	});
+
+	return {
+		fromIndex: drag ? drag.fromIndex : -1,
+		toIndex: drag ? drag.toIndex : -1,
+		handleKeyDown,
+		getItemProps,
+	};
+}
+
+/**
+ * useLiveRegion returns a function that announces messages through a
+ * visually hidden ARIA live region. Screen readers only announce changes to
+ * live regions that are already in the document, so the region is mounted
+ * empty into `ownerDocument` ahead of the first announcement and removed on
+ * unmount.
+ * @param {Document | null | undefined} ownerDocument
+ * @returns {(message: string) => void}
+ */
+function useLiveRegion(ownerDocument) {
+	const regionRef = React.useRef(null);
+
+	React.useEffect(() => {
+		if (!ownerDocument) return;
+		const region = ownerDocument.createElement('div');
+		region.setAttribute('aria-live', 'assertive');
+		region.setAttribute('aria-atomic', 'true');
+		Object.assign(region.style, {
+			border: 0,
+			clip: 'rect(0 0 0 0)',
+			height: '1px',
+			margin: '-1px',
+			overflow: 'hidden',
+			padding: 0,
+			position: 'absolute',
+			whiteSpace: 'nowrap',
+			width: '1px',
+		});
+		ownerDocument.body.appendChild(region);
+		regionRef.current = region;
+		return () => {
+			region.remove();
+			regionRef.current = null;
+		};
+	}, [ownerDocument]);
+
+	return React.useCallback(message => {
+		if (regionRef.current) regionRef.current.textContent = message;
+	}, []);
+}
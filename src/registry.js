@@ -0,0 +1,2105 @@
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Element | HTMLElement} SomeElement
+ */
+
+/**
+ * @typedef {Object} Descendant
+ * @prop {SomeElement | null} [element]
+ * @prop {string} [id] Identifies descendants without an element (e.g. with
+ *   non-DOM renderers). Takes precedence over `element` as the key a
+ *   descendant is registered by.
+ * @prop {number} index
+ * @prop {Descendant | null} [parent] Only set in `tree` mode.
+ * @prop {number} [depth] Only set in `tree` mode.
+ * @prop {Array<Descendant>} [children] Only set in `tree` mode.
+ * @prop {string} [group] Id of the `DescendantGroup` the descendant is
+ *   rendered in.
+ * @prop {number} [groupIndex] Index of the descendant within its group.
+ */
+
+/**
+ * @typedef {'next' | 'previous' | 'first' | 'last' | 'none' | ((removed: Descendant, descendants: Array<Descendant>) => Descendant | null | undefined)} ActiveDescendantFallback
+ */
+
+/**
+ * @typedef {Object} DescendantChangeEntry
+ * @prop {Descendant} descendant The current record, or the last one for
+ *   removed descendants.
+ * @prop {number} previousIndex -1 for added descendants.
+ * @prop {number} index -1 for removed descendants.
+ */
+
+/**
+ * @typedef {Object} DescendantChange
+ * @prop {Array<DescendantChangeEntry>} added
+ * @prop {Array<DescendantChangeEntry>} removed
+ * @prop {Array<DescendantChangeEntry>} moved Descendants whose order relative
+ *   to the other remaining descendants changed. Of two swapped descendants,
+ *   only one is reported, i.e. the fewest moves that lead to the new order.
+ * @prop {Array<DescendantChangeEntry>} shifted Descendants that kept their
+ *   relative order but whose index changed, e.g. because a descendant was
+ *   added or removed in front of them.
+ */
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {SomeElement | string} DescendantKey The `id` of a descendant or,
+ *   if it has none, its element.
+ */
+
+/**
+ * @callback DescendantComparator
+ * @param {Descendant} a
+ * @param {Descendant} b
+ * @returns {number} A negative number if `a` comes first, a positive one if
+ *   `b` comes first.
+ */
+
+/**
+ * @typedef {'previous' | 'next' | 'parent' | 'child'} DescendantLinkRelation
+ */
+
+/**
+ * @typedef {'first' | 'last' | 'active' | 'next' | 'previous'} DescendantEntry
+ *   Which descendant becomes active when control passes to a collection.
+ *   `'active'` keeps the active descendant (or picks the first one), `'next'`
+ *   and `'previous'` move away from it.
+ */
+
+/**
+ * @typedef {Object} DescendantRegistryOptions
+ * @prop {() => void} [scheduleFlush] Called once for the first registration
+ *   (or unregistration) that is queued after a flush. Has to make sure
+ *   `flush` is called eventually. Defaults to flushing in a microtask.
+ * @prop {DescendantComparator} [compare] Orders descendants instead of their
+ *   document position and render order.
+ */
+
+/**
+ * DescendantRegistry keeps track of descendants and their indexes without
+ * depending on any UI library. Registrations are queued and applied in a
+ * single `flush`, after which subscribers are notified once.
+ * `DescendantProvider` is a thin React binding around it.
+ *
+ * Descendants with an element are ordered by their document position.
+ * Descendants without one are identified by their `id` and ordered by render
+ * order (see `trackRenderOrder`), falling back to the order they registered
+ * in. A `compare` function replaces both.
+ */
+export class DescendantRegistry {
+	/** @type {Array<Descendant>} */
+	#items = [];
+	/** @type {Array<Descendant>} */
+	#ordered = this.#items;
+	/** @type {Array<Descendant>} */
+	#snapshot = this.#items;
+	/** @type {Map<DescendantKey, Descendant>} */
+	#records = new Map();
+	#queue = [];
+	#tree = false;
+	#mounted = false;
+	/** @type {{key: DescendantKey | null, element: SomeElement | null, index: number}} */
+	#active = { key: null, element: null, index: -1 };
+	/** @type {ActiveDescendantFallback} */
+	#activeFallback = 'next';
+	/** @type {number | undefined} */
+	#count;
+	/** @type {Map<DescendantKey, number>} */
+	#explicitIndexes = new Map();
+	/** @type {Set<DescendantKey>} */
+	#conflicting = new Set();
+	#listeners = new Set();
+	#changeListeners = new Set();
+	/** @type {Map<string, {index: number, explicitIndex: number | undefined}>} */
+	#renderIndexes = new Map();
+	/** @type {Set<number>} */
+	#renderIndexesTaken = new Set();
+	/** @type {Set<number>} */
+	#explicitRenderIndexesTaken = new Set();
+	#nextImplicitRenderIndex = 0;
+	/** @type {Map<DescendantKey, number>} */
+	#renderOrders = new Map();
+	#nextRenderOrder = 0;
+	/** @type {Set<DescendantKey>} */
+	#renderSequence = new Set();
+	/** @type {Map<DescendantKey, Array<SomeElement>>} */
+	#anchorsByKey = new Map();
+	/** @type {MutationObserver | null} */
+	#observer = null;
+	/** @type {Node | null} */
+	#observedAncestor = null;
+	/** @type {() => void} */
+	#scheduleFlush;
+	/** @type {DescendantComparator | undefined} */
+	#compare;
+	/** @type {Map<DescendantLinkRelation, DescendantRegistry>} */
+	#links = new Map();
+	#enterListeners = new Set();
+
+	/**
+	 * @param {DescendantRegistryOptions} [options={}]
+	 */
+	constructor(options = {}) {
+		this.#scheduleFlush =
+			options.scheduleFlush ?? (() => queueMicrotask(() => this.flush()));
+		this.#compare = options.compare;
+
+		// NOTE(joel): Methods are bound so that they can be passed around on
+		// their own, e.g. `registry.subscribe` to `useSyncExternalStore`.
+		for (const name of Object.getOwnPropertyNames(
+			DescendantRegistry.prototype,
+		)) {
+			if (name !== 'constructor') this[name] = this[name].bind(this);
+		}
+	}
+
+	/**
+	 * getSnapshot returns the registered descendants sorted by index. The
+	 * array only changes when a descendant was added, removed or re-indexed.
+	 * @returns {Array<Descendant>}
+	 */
+	getSnapshot() {
+		return this.#snapshot;
+	}
+
+	/**
+	 * getIndex
+	 * @param {DescendantKey} key The id or element of a descendant.
+	 * @returns {number} -1 if no such descendant is registered.
+	 */
+	getIndex(key) {
+		return this.#records.get(key)?.index ?? -1;
+	}
+
+	/**
+	 * getGroupIndex
+	 * @param {DescendantKey} key The id or element of a descendant.
+	 * @returns {number} -1 if no such descendant is registered.
+	 */
+	getGroupIndex(key) {
+		return this.#records.get(key)?.groupIndex ?? -1;
+	}
+
+	/**
+	 * getExplicitIndex returns the index a descendant asked for when it
+	 * registered, which may differ from the index it got.
+	 * @param {DescendantKey} key
+	 * @returns {number | undefined}
+	 */
+	getExplicitIndex(key) {
+		return this.#explicitIndexes.get(key);
+	}
+
+	/**
+	 * getRenderIndex returns the index of a descendant that has not registered
+	 * yet, identified by an `id` that is stable across renders.
+	 * @param {string} id
+	 * @param {number} [explicitIndex] The index the descendant asks for.
+	 * @returns {number}
+	 */
+	getRenderIndex(id, explicitIndex) {
+		// NOTE(joel): Until the registry has flushed once, descendants are
+		// indexed in the order they render. This is the only order we know
+		// during server rendering and hydration. Descendants rendering for the
+		// first time after that wait for their registration instead, unless
+		// they ask for an explicit index.
+		let rendered = this.#renderIndexes.get(id);
+		if (!rendered || rendered.explicitIndex !== explicitIndex) {
+			if (this.#mounted) return explicitIndex ?? -1;
+			rendered = {
+				index: this.#claimRenderIndex(explicitIndex),
+				explicitIndex,
+			};
+			this.#renderIndexes.set(id, rendered);
+		}
+		return rendered.index;
+	}
+
+	/**
+	 * trackRenderOrder records that the descendant identified by `key`
+	 * rendered. Descendants that rendered since the last commit are ordered
+	 * by the sequence of these calls, see `commitRenderOrder`.
+	 * @param {DescendantKey} key
+	 */
+	trackRenderOrder(key) {
+		// NOTE(joel): The last call wins, e.g. if a descendant rendered again
+		// after it was moved.
+		this.#renderSequence.delete(key);
+		this.#renderSequence.add(key);
+	}
+
+	/**
+	 * commitRenderOrder orders the descendants that rendered since the last
+	 * commit by the sequence of their `trackRenderOrder` calls. Descendants
+	 * that did not render stay behind the one they followed before, so a
+	 * partial render (e.g. of a list below the owner of the registry) still
+	 * orders new descendants among their siblings. Bindings call it once a
+	 * render is committed; `flush` calls it as well.
+	 */
+	commitRenderOrder() {
+		if (this.#applyRenderSequence()) this.reorder();
+	}
+
+	/**
+	 * subscribe calls `listener` whenever the snapshot or the active
+	 * descendant changed.
+	 * @param {() => void} listener
+	 * @returns {() => void} Unsubscribes the listener.
+	 */
+	subscribe(listener) {
+		this.#listeners.add(listener);
+		return () => this.#listeners.delete(listener);
+	}
+
+	/**
+	 * subscribeChanges calls `listener` once per flush in which descendants
+	 * were added, removed or moved.
+	 * @param {(change: DescendantChange) => void} listener
+	 * @returns {() => void} Unsubscribes the listener.
+	 */
+	subscribeChanges(listener) {
+		this.#changeListeners.add(listener);
+		return () => this.#changeListeners.delete(listener);
+	}
+
+	/**
+	 * register queues a descendant. If a descendant with the same key is
+	 * already registered, its previous record is replaced.
+	 * @param {Descendant} descendant Needs an `element` or an `id`. Without
+	 *   `index`, the descendant is indexed by its position.
+	 * @param {Array<SomeElement>} [anchors=[]] Anchors of the portals the
+	 *   descendant is rendered in, see `compareDescendantPaths`.
+	 */
+	register(descendant, anchors = []) {
+		if (getDescendantKey(descendant) == null) return;
+		this.#enqueue('register', { descendant, anchors });
+	}
+
+	/**
+	 * unregister queues the removal of a descendant.
+	 * @param {DescendantKey} key
+	 */
+	unregister(key) {
+		if (key == null) return;
+		this.#enqueue('unregister', key);
+	}
+
+	/**
+	 * setActiveOptions
+	 * @param {{count?: number, fallback?: ActiveDescendantFallback}} options
+	 */
+	setActiveOptions(options) {
+		this.#count = options.count;
+		this.#activeFallback = options.fallback ?? 'next';
+	}
+
+	/**
+	 * getActiveIndex
+	 * @returns {number}
+	 */
+	getActiveIndex() {
+		return this.#active.index;
+	}
+
+	/**
+	 * getActiveElement
+	 * @returns {SomeElement | null}
+	 */
+	getActiveElement() {
+		return this.#active.element;
+	}
+
+	/**
+	 * setActiveIndex
+	 * @param {number} index
+	 */
+	setActiveIndex(index) {
+		if (index === this.#active.index) return;
+		const item = this.#items.find(item => item.index === index);
+		this.#active = item
+			? { key: getDescendantKey(item), element: item.element, index }
+			: { key: null, element: null, index };
+		this.#notify();
+	}
+
+	/**
+	 * setTree links descendants to their parent and child descendants, see
+	 * `getDescendantTree`.
+	 * @param {boolean} value
+	 */
+	setTree(value) {
+		if (this.#tree === value) return;
+		this.#tree = value;
+		this.#commit();
+	}
+
+	/**
+	 * setScheduleFlush replaces the `scheduleFlush` option, e.g. when a
+	 * binding takes over flushing a registry that was created elsewhere.
+	 * @param {() => void} scheduleFlush
+	 */
+	setScheduleFlush(scheduleFlush) {
+		this.#scheduleFlush = scheduleFlush;
+	}
+
+	/**
+	 * setCompare replaces the `compare` option and re-sorts the descendants.
+	 * @param {DescendantComparator | undefined} compare
+	 */
+	setCompare(compare) {
+		if (this.#compare === compare) return;
+		this.#compare = compare;
+		this.reorder();
+	}
+
+	/**
+	 * flush applies the render order and all queued registrations.
+	 */
+	flush() {
+		this.#mounted = true;
+		const renderOrderChanged = this.#applyRenderSequence();
+		if (!this.#queue.length) {
+			if (renderOrderChanged) this.reorder();
+			return;
+		}
+		const operations = this.#queue;
+		this.#queue = [];
+
+		let nextOrdered = this.#ordered.slice();
+		for (const { type, payload } of operations) {
+			if (type === 'unregister') {
+				this.#explicitIndexes.delete(payload);
+				this.#anchorsByKey.delete(payload);
+				this.#conflicting.delete(payload);
+				nextOrdered = nextOrdered.filter(
+					item => getDescendantKey(item) !== payload,
+				);
+			} else {
+				const { descendant, anchors } = payload;
+				const key = getDescendantKey(descendant);
+				this.#anchorsByKey.set(key, anchors);
+				if (!this.#renderOrders.has(key)) {
+					this.#renderOrders.set(key, this.#nextRenderOrder++);
+				}
+				if (descendant.index != null) {
+					this.#explicitIndexes.set(key, descendant.index);
+				} else {
+					this.#explicitIndexes.delete(key);
+				}
+				insertDescendant(nextOrdered, descendant, this.#compareDescendants);
+			}
+		}
+
+		// NOTE(joel): Render orders are tracked before their descendants
+		// register, so we only drop the ones of descendants that are gone.
+		const keys = new Set(nextOrdered.map(getDescendantKey));
+		this.#renderOrders.forEach((_, key) => {
+			if (!keys.has(key)) this.#renderOrders.delete(key);
+		});
+
+		this.#setItems(nextOrdered);
+	}
+
+	/**
+	 * reorder re-indexes descendants whose position changed, e.g. because
+	 * their elements moved in the DOM.
+	 */
+	reorder() {
+		// NOTE(joel): Pending registrations may refer to elements that are no
+		// longer in the DOM. The next flush checks the order anyway.
+		if (this.#queue.length) return;
+		this.#setItems(this.#ordered.slice());
+	}
+
+	/**
+	 * observe calls `reorder` whenever registered elements may have moved in
+	 * the DOM.
+	 * @returns {() => void} Stops observing.
+	 */
+	observe() {
+		if (typeof MutationObserver === 'undefined') return () => {};
+		this.#observer = new MutationObserver(() => this.reorder());
+		this.#observeCommonAncestor();
+		return () => {
+			this.#observer.disconnect();
+			this.#observer = null;
+			this.#observedAncestor = null;
+		};
+	}
+
+	/**
+	 * getNavigation returns the navigation primitives for the registered
+	 * descendants, or for every index up to `count` if set with
+	 * `setActiveOptions`, see `createDescendantNavigation`.
+	 * @param {DescendantNavigationOptions} options
+	 * @returns {DescendantNavigation}
+	 */
+	getNavigation(options) {
+		// NOTE(joel): In virtualized lists we navigate all `count` indexes, not
+		// only the mounted descendants.
+		const descendants =
+			this.#count != null
+				? getVirtualDescendants(this.#snapshot, this.#count)
+				: this.#snapshot;
+		return createDescendantNavigation(descendants, options);
+	}
+
+	/**
+	 * link connects this collection to another one, e.g. the panes of a split
+	 * view (`'previous'` and `'next'`) or a menubar and its open submenu
+	 * (`'parent'` and `'child'`). The other collection is linked back with
+	 * the opposite relation.
+	 * @param {DescendantLinkRelation} relation
+	 * @param {DescendantRegistry} registry
+	 * @returns {() => void} Removes both links.
+	 */
+	link(relation, registry) {
+		const opposite = oppositeRelations[relation];
+		this.#links.set(relation, registry);
+		registry.#links.set(opposite, this);
+		return () => {
+			if (this.#links.get(relation) === registry) {
+				this.#links.delete(relation);
+			}
+			if (registry.#links.get(opposite) === this) {
+				registry.#links.delete(opposite);
+			}
+		};
+	}
+
+	/**
+	 * getLink
+	 * @param {DescendantLinkRelation} relation
+	 * @returns {DescendantRegistry | undefined}
+	 */
+	getLink(relation) {
+		return this.#links.get(relation);
+	}
+
+	/**
+	 * subscribeEnter lets a binding decide what happens when control passes
+	 * to this collection, e.g. to move DOM focus. Listeners return whether
+	 * they selected a descendant. Without a listener, `enter` only changes
+	 * the active descendant.
+	 * @param {(entry: DescendantEntry) => boolean} listener
+	 * @returns {() => void} Unsubscribes the listener.
+	 */
+	subscribeEnter(listener) {
+		this.#enterListeners.add(listener);
+		return () => this.#enterListeners.delete(listener);
+	}
+
+	/**
+	 * enter passes control to this collection, see `DescendantEntry`.
+	 * @param {DescendantEntry} [entry='first']
+	 * @returns {boolean} False if there is no descendant to enter.
+	 */
+	enter(entry = 'first') {
+		if (this.#enterListeners.size) {
+			let entered = false;
+			this.#enterListeners.forEach(listener => {
+				if (listener(entry)) entered = true;
+			});
+			return entered;
+		}
+		const option = this.getNavigation({
+			currentIndex: this.#active.index,
+		}).getEntryOption(entry);
+		if (!option) return false;
+		this.setActiveIndex(option.index);
+		return true;
+	}
+
+	/**
+	 * getPath returns the portal anchors of a descendant followed by its own
+	 * element. See `compareDescendantPaths`.
+	 * @param {Descendant} descendant
+	 * @returns {Array<SomeElement>}
+	 */
+	#getPath = descendant => [
+		...(this.#anchorsByKey.get(getDescendantKey(descendant)) || []),
+		descendant.element,
+	];
+
+	/**
+	 * compareDescendants orders two descendants by the `compare` option or,
+	 * without one, by their document position. If either of them has no
+	 * element, we fall back to render order.
+	 * @param {Descendant} a
+	 * @param {Descendant} b
+	 * @returns {number}
+	 */
+	#compareDescendants = (a, b) => {
+		if (this.#compare) return this.#compare(a, b);
+		if (a.element && b.element) {
+			return compareDescendantPaths(this.#getPath(a), this.#getPath(b));
+		}
+		return (
+			(this.#renderOrders.get(getDescendantKey(a)) ?? 0) -
+			(this.#renderOrders.get(getDescendantKey(b)) ?? 0)
+		);
+	};
+
+	/**
+	 * applyRenderSequence merges the keys tracked since the last call into the
+	 * render orders, see `commitRenderOrder`.
+	 * @returns {boolean} Whether the render order changed.
+	 */
+	#applyRenderSequence() {
+		if (!this.#renderSequence.size) return false;
+		const sequence = Array.from(this.#renderSequence);
+		const rendered = new Set(sequence);
+		this.#renderSequence.clear();
+
+		const orders = this.#renderOrders;
+		const ordered = Array.from(orders.keys()).sort(
+			(a, b) => orders.get(a) - orders.get(b),
+		);
+		const leading = [];
+		const following = new Map(sequence.map(key => [key, []]));
+		let anchor = null;
+		for (const key of ordered) {
+			if (rendered.has(key)) anchor = key;
+			else if (anchor == null) leading.push(key);
+			else following.get(anchor).push(key);
+		}
+
+		const next = leading;
+		for (const key of sequence) next.push(key, ...following.get(key));
+		this.#renderOrders = new Map(next.map((key, order) => [key, order]));
+		this.#nextRenderOrder = next.length;
+		return (
+			next.length !== ordered.length ||
+			next.some((key, index) => key !== ordered[index])
+		);
+	}
+
+	/**
+	 * claimRenderIndex assigns the next render index the same way
+	 * `assignIndexes` assigns indexes to registered descendants: explicit
+	 * indexes keep their slot (or, if an earlier explicit descendant took it,
+	 * move to the next free one) and implicit descendants fill the gaps.
+	 * Render order only tells us about the descendants that rendered before,
+	 * so an implicit descendant cannot make room for an explicit one that
+	 * renders after it.
+	 * @param {number} [explicitIndex]
+	 * @returns {number}
+	 */
+	#claimRenderIndex(explicitIndex) {
+		const taken = this.#renderIndexesTaken;
+		let index;
+		if (explicitIndex != null) {
+			index = explicitIndex;
+			while (this.#explicitRenderIndexesTaken.has(index)) index++;
+			this.#explicitRenderIndexesTaken.add(index);
+		} else {
+			index = this.#nextImplicitRenderIndex;
+			while (taken.has(index)) index++;
+			this.#nextImplicitRenderIndex = index + 1;
+		}
+		taken.add(index);
+		return index;
+	}
+
+	/**
+	 * enqueue
+	 * @param {'register' | 'unregister'} type
+	 * @param {any} payload
+	 */
+	#enqueue(type, payload) {
+		if (!this.#queue.length) this.#scheduleFlush();
+		this.#queue.push({ type, payload });
+	}
+
+	/**
+	 * notify
+	 */
+	#notify() {
+		this.#listeners.forEach(listener => listener());
+	}
+
+	/**
+	 * setItems makes sure `nextOrdered` is sorted, re-indexes it and commits
+	 * the result if anything changed.
+	 * @param {Array<Descendant>} nextOrdered
+	 */
+	#setItems(nextOrdered) {
+		// NOTE(joel): Keyed reorders move DOM nodes around without
+		// re-registering their descendants, so we cannot rely on the order we
+		// inserted them in.
+		if (!this.#isSorted(nextOrdered)) {
+			nextOrdered.sort(this.#compareDescendants);
+		}
+
+		this.#ordered = this.#assignIndexes(nextOrdered);
+		const nextItems = this.#explicitIndexes.size
+			? this.#ordered.slice().sort((a, b) => a.index - b.index)
+			: this.#ordered;
+
+		const items = this.#items;
+		const changed =
+			nextItems.length !== items.length ||
+			nextItems.some((item, index) => item !== items[index]);
+		if (!changed) return;
+
+		this.#items = nextItems;
+		this.#followActive(items);
+		this.#commit();
+		this.#observeCommonAncestor();
+
+		if (this.#changeListeners.size) {
+			const change = getDescendantChange(items, nextItems);
+			this.#changeListeners.forEach(listener => listener(change));
+		}
+	}
+
+	/**
+	 * assignIndexes indexes sorted descendants. Explicit indexes are claimed
+	 * first; when two descendants ask for the same index, the one that comes
+	 * first wins and the other one moves to the next free index. Descendants
+	 * without an explicit index fill the remaining gaps.
+	 * We only create new records for descendants whose index actually changed.
+	 * @param {Array<Descendant>} list
+	 * @returns {Array<Descendant>}
+	 */
+	#assignIndexes(list) {
+		const explicitIndexes = this.#explicitIndexes;
+		const taken = new Set();
+		/** @type {Map<DescendantKey, number>} */
+		const assigned = new Map();
+
+		if (explicitIndexes.size) {
+			const explicit = list
+				.map(getDescendantKey)
+				.filter(key => explicitIndexes.has(key))
+				.sort((a, b) => explicitIndexes.get(a) - explicitIndexes.get(b));
+			for (const key of explicit) {
+				const requested = explicitIndexes.get(key);
+				let index = requested;
+				while (taken.has(index)) index++;
+				if (index !== requested) this.#warnConflict(key, requested, index);
+				taken.add(index);
+				assigned.set(key, index);
+			}
+		}
+
+		let next = 0;
+		for (const item of list) {
+			const key = getDescendantKey(item);
+			if (assigned.has(key)) continue;
+			while (taken.has(next)) next++;
+			assigned.set(key, next++);
+		}
+
+		const groupIndexes = getGroupIndexes(list, assigned);
+		return list.map(item => {
+			const key = getDescendantKey(item);
+			const index = assigned.get(key);
+			const groupIndex = groupIndexes.get(key);
+			return item.index === index && item.groupIndex === groupIndex
+				? item
+				: { ...item, index, groupIndex };
+		});
+	}
+
+	/**
+	 * warnConflict tells developers about a descendant whose explicit index
+	 * was already taken. Every descendant is only reported once.
+	 * @param {DescendantKey} key
+	 * @param {number} requested
+	 * @param {number} index
+	 */
+	#warnConflict(key, requested, index) {
+		// NOTE(joel): Without a bundler there may be no `process` to read the
+		// environment from.
+		const production =
+			typeof process !== 'undefined' && process.env.NODE_ENV === 'production';
+		if (production || this.#conflicting.has(key)) {
+			return;
+		}
+		this.#conflicting.add(key);
+		console.warn(
+			`Descendant index ${requested} is used more than once. The descendant ` +
+				`later in the document was moved to index ${index}.`,
+			key,
+		);
+	}
+
+	/**
+	 * isSorted
+	 * @param {Array<Descendant>} list
+	 * @returns {boolean}
+	 */
+	#isSorted(list) {
+		for (let i = 1; i < list.length; i++) {
+			if (this.#compareDescendants(list[i - 1], list[i]) > 0) return false;
+		}
+		return true;
+	}
+
+	/**
+	 * observeCommonAncestor watches the closest common ancestor of all
+	 * registered elements (and their portal anchors) for DOM changes that may
+	 * have reordered them.
+	 */
+	#observeCommonAncestor() {
+		if (!this.#observer) return;
+		const ancestor = getCommonAncestor(
+			this.#items.filter(item => item.element).flatMap(this.#getPath),
+		);
+		if (ancestor === this.#observedAncestor) return;
+		this.#observer.disconnect();
+		this.#observedAncestor = ancestor;
+		if (ancestor) {
+			this.#observer.observe(ancestor, { childList: true, subtree: true });
+		}
+	}
+
+	/**
+	 * followActive keeps the active descendant pointing at the same descendant
+	 * after the registered descendants changed. If it unregistered, we fall
+	 * back to another descendant according to `activeFallback`.
+	 * @param {Array<Descendant>} prevItems
+	 */
+	#followActive(prevItems) {
+		const { key, index } = this.#active;
+		if (key == null) {
+			// NOTE(joel): The active index was set before its descendant
+			// registered (e.g. a default index or a virtualized descendant that
+			// was not mounted yet).
+			const item =
+				index !== -1 && this.#items.find(item => item.index === index);
+			if (item) {
+				this.#active = {
+					key: getDescendantKey(item),
+					element: item.element,
+					index,
+				};
+			}
+			return;
+		}
+
+		const item = this.#items.find(item => getDescendantKey(item) === key);
+		if (item) {
+			this.#active = { key, element: item.element, index: item.index };
+			return;
+		}
+
+		// NOTE(joel): In virtualized lists the active descendant most likely
+		// scrolled out of view. It is still active, just not mounted.
+		if (this.#count != null && index < this.#count) {
+			this.#active = { key: null, element: null, index };
+			return;
+		}
+
+		const next = this.#getActiveFallback(prevItems, key);
+		this.#active = next
+			? {
+					key: getDescendantKey(next),
+					element: next.element,
+					index: next.index,
+			  }
+			: { key: null, element: null, index: -1 };
+	}
+
+	/**
+	 * getActiveFallback returns the descendant that becomes active after the
+	 * active one unregistered.
+	 * @param {Array<Descendant>} prevItems
+	 * @param {DescendantKey} key
+	 * @returns {Descendant | null | undefined}
+	 */
+	#getActiveFallback(prevItems, key) {
+		const items = this.#items;
+		const position = prevItems.findIndex(
+			item => getDescendantKey(item) === key,
+		);
+		const remaining = new Map(
+			items.map(item => [getDescendantKey(item), item]),
+		);
+
+		/**
+		 * findRemaining walks `prevItems` away from the removed descendant and
+		 * returns the first one that is still registered.
+		 * @param {1 | -1} step
+		 * @returns {Descendant | undefined}
+		 */
+		function findRemaining(step) {
+			for (let i = position + step; i >= 0 && i < prevItems.length; i += step) {
+				const item = remaining.get(getDescendantKey(prevItems[i]));
+				if (item) return item;
+			}
+		}
+
+		if (typeof this.#activeFallback === 'function') {
+			return this.#activeFallback(prevItems[position], items);
+		}
+		switch (this.#activeFallback) {
+			case 'next':
+				return findRemaining(1) ?? findRemaining(-1);
+			case 'previous':
+				return findRemaining(-1) ?? findRemaining(1);
+			case 'first':
+				return items[0];
+			case 'last':
+				return items[items.length - 1];
+			default:
+				return null;
+		}
+	}
+
+	/**
+	 * commit replaces the current snapshot and notifies subscribers.
+	 */
+	#commit() {
+		this.#snapshot = this.#tree
+			? getDescendantTree(this.#items, this.#getPath)
+			: this.#items;
+		this.#records = getRecords(this.#snapshot);
+		this.#notify();
+	}
+}
+
+/** @type {Record<DescendantLinkRelation, DescendantLinkRelation>} */
+const oppositeRelations = {
+	previous: 'next',
+	next: 'previous',
+	parent: 'child',
+	child: 'parent',
+};
+
+/**
+ * getDescendantKey returns the key a descendant is registered by: its `id`
+ * or, if it has none, its element.
+ * @param {Descendant} descendant
+ * @returns {DescendantKey | null | undefined}
+ */
+export function getDescendantKey(descendant) {
+	return descendant.id ?? descendant.element;
+}
+
+/**
+ * getRecords maps the key of every descendant to its record. Descendants
+ * with both an `id` and an element can be looked up by either.
+ * @param {Array<Descendant>} items
+ * @returns {Map<DescendantKey, Descendant>}
+ */
+function getRecords(items) {
+	const records = new Map();
+	for (const item of items) {
+		records.set(getDescendantKey(item), item);
+		if (item.element) records.set(item.element, item);
+	}
+	return records;
+}
+
+/**
+ * getGroupIndexes counts the descendants of every group in the order of
+ * their `indexes`. Descendants outside of a group are left out.
+ * @param {Array<Descendant>} list
+ * @param {Map<DescendantKey, number>} indexes
+ * @returns {Map<DescendantKey, number>}
+ */
+function getGroupIndexes(list, indexes) {
+	const groupIndexes = new Map();
+	const grouped = list.filter(item => item.group != null);
+	if (!grouped.length) return groupIndexes;
+
+	const sizes = new Map();
+	grouped
+		.map(item => ({ key: getDescendantKey(item), group: item.group }))
+		.sort((a, b) => indexes.get(a.key) - indexes.get(b.key))
+		.forEach(({ key, group }) => {
+			const size = sizes.get(group) ?? 0;
+			groupIndexes.set(key, size);
+			sizes.set(group, size + 1);
+		});
+	return groupIndexes;
+}
+
+/**
+ * insertDescendant adds a descendant to the sorted `items` in place. Indexes
+ * are assigned afterwards by the registry.
+ * @param {Array<Descendant>} items
+ * @param {Descendant} descendant
+ * @param {DescendantComparator} compare
+ */
+function insertDescendant(items, { index: _, ...descendant }, compare) {
+	// NOTE(joel): If the descendant is already registered (e.g. because its
+	// explicit index changed), its previous record is replaced.
+	const key = getDescendantKey(descendant);
+	const existing = items.findIndex(item => getDescendantKey(item) === key);
+	if (existing !== -1) items.splice(existing, 1);
+
+	// NOTE(joel): We have to make sure the order of registered descendants is
+	// the same as they appear in the DOM (or render order). Since registered
+	// descendants are already sorted, a binary search is enough.
+	let low = 0;
+	let high = items.length;
+	while (low < high) {
+		const middle = (low + high) >> 1;
+		if (compare(descendant, items[middle]) < 0) {
+			high = middle;
+		} else {
+			low = middle + 1;
+		}
+	}
+	items.splice(low, 0, { ...descendant, index: low });
+}
+
+/**
+ * getDescendantChange lists the descendants that were added, removed, moved
+ * or shifted between two commits. Descendants are matched by their key.
+ * @param {Array<Descendant>} prevItems
+ * @param {Array<Descendant>} nextItems
+ * @returns {DescendantChange}
+ */
+function getDescendantChange(prevItems, nextItems) {
+	const prevByKey = new Map(
+		prevItems.map(item => [getDescendantKey(item), item]),
+	);
+	const nextKeys = new Set(nextItems.map(getDescendantKey));
+	/** @type {DescendantChange} */
+	const change = { added: [], removed: [], moved: [], shifted: [] };
+
+	/** @type {Array<DescendantChangeEntry>} */
+	const remaining = [];
+	for (const item of nextItems) {
+		const prev = prevByKey.get(getDescendantKey(item));
+		if (!prev) {
+			change.added.push({
+				descendant: item,
+				previousIndex: -1,
+				index: item.index,
+			});
+		} else {
+			remaining.push({
+				descendant: item,
+				previousIndex: prev.index,
+				index: item.index,
+			});
+		}
+	}
+
+	// NOTE(joel): The longest run of remaining descendants that kept their
+	// previous order stays in place. Everything else moved around it.
+	const inPlace = getIncreasingPositions(
+		remaining.map(entry => entry.previousIndex),
+	);
+	remaining.forEach((entry, position) => {
+		if (!inPlace.has(position)) change.moved.push(entry);
+		else if (entry.previousIndex !== entry.index) change.shifted.push(entry);
+	});
+
+	for (const item of prevItems) {
+		if (!nextKeys.has(getDescendantKey(item))) {
+			change.removed.push({
+				descendant: item,
+				previousIndex: item.index,
+				index: -1,
+			});
+		}
+	}
+	return change;
+}
+
+/**
+ * getIncreasingPositions returns the positions of the longest subsequence of
+ * `values` that is in ascending order.
+ * @param {Array<number>} values
+ * @returns {Set<number>}
+ */
+function getIncreasingPositions(values) {
+	// NOTE(joel): `tails[length - 1]` is the position of the smallest value
+	// that ends an ascending subsequence of `length` values so far.
+	const tails = [];
+	const predecessors = [];
+	values.forEach((value, position) => {
+		let low = 0;
+		let high = tails.length;
+		while (low < high) {
+			const middle = (low + high) >> 1;
+			if (values[tails[middle]] < value) low = middle + 1;
+			else high = middle;
+		}
+		predecessors[position] = low > 0 ? tails[low - 1] : -1;
+		tails[low] = position;
+	});
+
+	const positions = new Set();
+	let position = tails.length ? tails[tails.length - 1] : -1;
+	while (position !== -1) {
+		positions.add(position);
+		position = predecessors[position];
+	}
+	return positions;
+}
+
+/**
+ * getCommonAncestor returns the closest node that contains all `nodes`.
+ * @param {Array<Node>} nodes
+ * @returns {Node | null}
+ */
+function getCommonAncestor(nodes) {
+	if (!nodes.length) return null;
+	let ancestor = nodes[0].parentNode;
+	for (const node of nodes) {
+		while (ancestor && !ancestor.contains(node)) {
+			ancestor = ancestor.parentNode;
+		}
+		if (!ancestor) return null;
+	}
+	return ancestor;
+}
+
+/**
+ * compareDescendantPaths compares the document position of two descendants.
+ * Descendants rendered into a `DescendantPortal` are prefixed with the anchor
+ * elements of their portals, so that they are ordered by where the portal is
+ * declared in the React tree instead of where it renders to.
+ * @param {Array<SomeElement>} a
+ * @param {Array<SomeElement>} b
+ * @returns {number}
+ */
+function compareDescendantPaths(a, b) {
+	const length = Math.min(a.length, b.length);
+	for (let i = 0; i < length; i++) {
+		if (a[i] === b[i]) continue;
+		return a[i].compareDocumentPosition(b[i]) & Node.DOCUMENT_POSITION_PRECEDING
+			? 1
+			: -1;
+	}
+	return 0;
+}
+
+/**
+ * getDescendantTree links registered descendants to their parent and child
+ * descendants. The parent of a descendant is the closest registered element
+ * that contains it in the DOM, unless it explicitly passes a `parent`
+ * element or id. For descendants inside a `DescendantPortal`, the search
+ * continues at the portal's anchor. Descendants without an element need an
+ * explicit `parent`.
+ * @param {Array<Descendant>} items
+ * @param {(descendant: Descendant) => Array<SomeElement>} getPath
+ * @returns {Array<Descendant>}
+ */
+function getDescendantTree(items, getPath) {
+	const nodes = items.map(item => ({
+		...item,
+		parent: null,
+		depth: 0,
+		children: [],
+	}));
+	const nodesByKey = getRecords(nodes);
+
+	/**
+	 * findParentElement
+	 * @param {Descendant} item
+	 * @returns {SomeElement | undefined}
+	 */
+	function findParentElement(item) {
+		if (!item.element) return;
+		for (const node of getPath(item).reverse()) {
+			let parentElement = node.parentElement;
+			while (parentElement && !nodesByKey.has(parentElement)) {
+				parentElement = parentElement.parentElement;
+			}
+			if (parentElement) return parentElement;
+		}
+	}
+
+	// NOTE(joel): `items` are sorted, so each child list ends up sorted as
+	// well.
+	items.forEach((item, i) => {
+		const parent = nodesByKey.get(item.parent || findParentElement(item));
+		if (parent && parent !== nodes[i]) {
+			nodes[i].parent = parent;
+			parent.children.push(nodes[i]);
+		}
+	});
+
+	/**
+	 * setDepth
+	 * @param {Descendant} node
+	 * @param {number} depth
+	 */
+	function setDepth(node, depth) {
+		node.depth = depth;
+		node.children.forEach(child => setDepth(child, depth + 1));
+	}
+	nodes.filter(node => node.parent === null).forEach(node => setDepth(node, 0));
+
+	return nodes;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} DescendantNavigation
+ * @prop {Array<Descendant>} descendants The descendants accepted by `filter`.
+ * @prop {Descendant | undefined} current
+ * @prop {() => Descendant} getNextOption
+ * @prop {() => Descendant} getPreviousOption
+ * @prop {() => Descendant} getFirstOption
+ * @prop {() => Descendant} getLastOption
+ * @prop {(step: 1 | -1, size: number) => Descendant} getPageOption
+ * @prop {() => Descendant} getNextGroupOption
+ * @prop {() => Descendant} getPreviousGroupOption
+ * @prop {(direction: SpatialDirection, score?: SpatialScore) => Descendant} getSpatialOption
+ * @prop {(entry: DescendantEntry) => Descendant} getEntryOption
+ */
+
+/**
+ * @typedef {Object} DescendantNavigationOptions
+ * @prop {number | null | undefined} currentIndex
+ * @prop {(descendant: Descendant) => boolean} [filter]
+ * @prop {boolean} [rotate=true]
+ */
+
+/**
+ * createDescendantNavigation returns the navigation primitives
+ * `useDescendantKeyDown` is built on, e.g. to move between descendants
+ * without a keyboard event. None of them has side effects.
+ * @param {Array<Descendant>} descendants
+ * @param {DescendantNavigationOptions} options
+ * @returns {DescendantNavigation}
+ */
+export function createDescendantNavigation(descendants, options) {
+	const { currentIndex, filter, rotate = true } = options;
+
+	// NOTE(joel): If a custom filter function is being used, we need to
+	// re-index our descendants.
+	const selectableDescendants = filter
+		? descendants.filter(filter)
+		: descendants;
+	const selectableIndex = selectableDescendants.findIndex(
+		descendant => descendant.index === currentIndex,
+	);
+	const length = selectableDescendants.length;
+	const current = selectableDescendants[selectableIndex];
+
+	/**
+	 * getFirstOption returns the first descendant of our list.
+	 * @returns {Descendant}
+	 */
+	function getFirstOption() {
+		return selectableDescendants[0];
+	}
+
+	/**
+	 * getLastOption returns the last descendant of our list.
+	 * @returns {Descendant}
+	 */
+	function getLastOption() {
+		return selectableDescendants[length - 1];
+	}
+
+	/**
+	 * getNextOption returns the next descendant in the list of descendants
+	 * and handles looping around if we're at the last item of the list.
+	 * @returns {Descendant}
+	 */
+	function getNextOption() {
+		if (current && current === getLastOption()) {
+			return rotate ? getFirstOption() : current;
+		}
+		return selectableDescendants[(selectableIndex + 1) % length];
+	}
+
+	/**
+	 * getPreviousOption returns the previous descendant in the list of
+	 * descendants and handles looping around if we're at the first item of the
+	 * list.
+	 * @returns {Descendant}
+	 */
+	function getPreviousOption() {
+		if (current && current === getFirstOption()) {
+			return rotate ? getLastOption() : current;
+		}
+		return selectableDescendants[(selectableIndex - 1 + length) % length];
+	}
+
+	/**
+	 * getPageOption returns the descendant `size` descendants after (`step` 1)
+	 * or before (`step` -1) the current one. Paging stops at the first and
+	 * last descendant.
+	 * @param {1 | -1} step
+	 * @param {number} size
+	 * @returns {Descendant}
+	 */
+	function getPageOption(step, size) {
+		if (!current) return step === 1 ? getLastOption() : getFirstOption();
+		const target = selectableIndex + step * Math.max(1, size);
+		return selectableDescendants[Math.max(0, Math.min(target, length - 1))];
+	}
+
+	/**
+	 * getNextGroupOption returns the first descendant of the next group (see
+	 * `DescendantGroup`) or, without groups, the next descendant.
+	 * @returns {Descendant}
+	 */
+	function getNextGroupOption() {
+		if (!selectableDescendants.some(item => item.group != null)) {
+			return getNextOption();
+		}
+		return getGroupOption(selectableDescendants, selectableIndex, 1, rotate);
+	}
+
+	/**
+	 * getPreviousGroupOption returns the first descendant of the previous
+	 * group or, without groups, the previous descendant.
+	 * @returns {Descendant}
+	 */
+	function getPreviousGroupOption() {
+		if (!selectableDescendants.some(item => item.group != null)) {
+			return getPreviousOption();
+		}
+		return getGroupOption(selectableDescendants, selectableIndex, -1, rotate);
+	}
+
+	/**
+	 * getSpatialOption returns the descendant whose element is rendered
+	 * closest to the current one in `direction`, i.e. the one with the lowest
+	 * `score`. If there is none (or nothing is rendered), we fall back to the
+	 * next or previous descendant in linear order.
+	 * @param {SpatialDirection} direction
+	 * @param {SpatialScore} [score=getSpatialScore]
+	 * @returns {Descendant}
+	 */
+	function getSpatialOption(direction, score = getSpatialScore) {
+		const from = current && current.element && getRect(current.element);
+		let best;
+		let bestScore = Infinity;
+		if (from) {
+			for (const descendant of selectableDescendants) {
+				if (descendant === current || !descendant.element) continue;
+				const to = getRect(descendant.element);
+				if (!to) continue;
+				const candidateScore = score(from, to, direction);
+				if (candidateScore != null && candidateScore < bestScore) {
+					best = descendant;
+					bestScore = candidateScore;
+				}
+			}
+		}
+		if (best) return best;
+		return direction === 'down' || direction === 'right'
+			? getNextOption()
+			: getPreviousOption();
+	}
+
+	/**
+	 * getEntryOption returns the descendant that becomes active when control
+	 * passes to our list from a linked one.
+	 * @param {DescendantEntry} entry
+	 * @returns {Descendant}
+	 */
+	function getEntryOption(entry) {
+		switch (entry) {
+			case 'last':
+				return getLastOption();
+			case 'active':
+				return current ?? getFirstOption();
+			case 'next':
+				return getNextOption();
+			case 'previous':
+				return getPreviousOption();
+			default:
+				return getFirstOption();
+		}
+	}
+
+	return {
+		descendants: selectableDescendants,
+		current,
+		getNextOption,
+		getPreviousOption,
+		getFirstOption,
+		getLastOption,
+		getPageOption,
+		getNextGroupOption,
+		getPreviousGroupOption,
+		getSpatialOption,
+		getEntryOption,
+	};
+}
+
+/**
+ * @typedef {'up' | 'down' | 'left' | 'right'} SpatialDirection
+ */
+
+/**
+ * @callback SpatialScore
+ * @param {DOMRect} from Rect of the current descendant.
+ * @param {DOMRect} to Rect of a candidate.
+ * @param {SpatialDirection} direction
+ * @returns {number | null} Lower is better, `null` rules the candidate out.
+ */
+
+/**
+ * getSpatialScore is the default `SpatialScore`. Candidates have to lie in
+ * `direction`, judged by their centers. They are scored by the gap between
+ * both rects along the direction plus twice the offset of their centers
+ * across it, so that descendants in the same row or column win over closer
+ * ones that are diagonally offset.
+ * @param {DOMRect} from
+ * @param {DOMRect} to
+ * @param {SpatialDirection} direction
+ * @returns {number | null}
+ */
+export function getSpatialScore(from, to, direction) {
+	const vertical = direction === 'up' || direction === 'down';
+	const sign = direction === 'down' || direction === 'right' ? 1 : -1;
+	const [start, end] = vertical ? ['top', 'bottom'] : ['left', 'right'];
+	const [crossStart, crossEnd] = vertical
+		? ['left', 'right']
+		: ['top', 'bottom'];
+
+	const center = (rect, a, b) => (rect[a] + rect[b]) / 2;
+	if (sign * (center(to, start, end) - center(from, start, end)) <= 0) {
+		return null;
+	}
+
+	const gap = Math.max(
+		0,
+		sign === 1 ? to[start] - from[end] : from[start] - to[end],
+	);
+	const offset = Math.abs(
+		center(to, crossStart, crossEnd) - center(from, crossStart, crossEnd),
+	);
+	return gap + 2 * offset;
+}
+
+/**
+ * getRect returns the bounding rect of `element`, or null if it is not
+ * rendered.
+ * @param {Element} element
+ * @returns {DOMRect | null}
+ */
+function getRect(element) {
+	const rect = element.getBoundingClientRect();
+	return rect.width === 0 && rect.height === 0 ? null : rect;
+}
+
+/**
+ * getGroupOption returns the first descendant of the group after or before
+ * the one at `selectableIndex`. Consecutive descendants outside of a group
+ * are treated as a group of their own.
+ * @param {Array<Descendant>} descendants
+ * @param {number} selectableIndex
+ * @param {1 | -1} direction
+ * @param {boolean} rotate
+ * @returns {Descendant}
+ */
+function getGroupOption(descendants, selectableIndex, direction, rotate) {
+	/** @type {Array<number>} */
+	const groupStarts = [];
+	descendants.forEach((descendant, i) => {
+		if (i === 0 || descendant.group !== descendants[i - 1].group) {
+			groupStarts.push(i);
+		}
+	});
+
+	let current = -1;
+	groupStarts.forEach((start, i) => {
+		if (start <= selectableIndex) current = i;
+	});
+
+	let next = current + direction;
+	if (current === -1) next = direction === 1 ? 0 : groupStarts.length - 1;
+	if (next < 0 || next >= groupStarts.length) {
+		if (!rotate) return descendants[groupStarts[current]];
+		next = (next + groupStarts.length) % groupStarts.length;
+	}
+	return descendants[groupStarts[next]];
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Pick<KeyboardEvent, 'key' | 'ctrlKey' | 'altKey' | 'shiftKey' | 'metaKey'>} DescendantKeyEvent
+ *   A DOM or React keyboard event.
+ */
+
+/**
+ * @callback DescendantKeyMapCallback
+ * @param {DescendantNavigation} navigation
+ * @param {DescendantKeyEvent} event
+ * @returns {Descendant | undefined} The descendant to move to.
+ */
+
+/**
+ * The `'child'`, `'parent'`, `'parentNext'` and `'parentPrevious'` actions
+ * pass control to a linked collection (see `DescendantProvider`'s `links`),
+ * entering the child at its first descendant and the parent at its active,
+ * next or previous one.
+ * @typedef {'next' | 'previous' | 'first' | 'last' | 'pageNext' | 'pagePrevious' | 'nextGroup' | 'previousGroup' | 'child' | 'parent' | 'parentNext' | 'parentPrevious' | SpatialDirection | DescendantKeyMapCallback} DescendantKeyAction
+ */
+
+/**
+ * A key map maps key combinations like `'ArrowDown'`, `'j'` or
+ * `'Ctrl+Home'` to navigation actions. Modifiers are `Ctrl`, `Alt`, `Shift`
+ * and `Meta` and `Space` stands for the space bar. A key without modifiers
+ * also matches while modifiers are held, unless the exact combination is
+ * mapped as well. Map a key to `null` to leave it alone.
+ * @typedef {Record<string, DescendantKeyAction | null>} DescendantKeyMap
+ */
+
+/**
+ * getDescendantKeyMap returns the default key bindings of
+ * `useDescendantKeyDown` for an orientation. Spread it into a custom
+ * `keyMap` to extend it.
+ * @param {'vertical' | 'horizontal' | 'both' | 'spatial'} [orientation='vertical']
+ * @param {boolean} [rtl=false]
+ * @returns {DescendantKeyMap}
+ */
+export function getDescendantKeyMap(orientation = 'vertical', rtl = false) {
+	/** @type {DescendantKeyMap} */
+	const keyMap = {
+		Home: 'first',
+		End: 'last',
+		PageUp: 'pagePrevious',
+		PageDown: 'pageNext',
+		'Ctrl+PageUp': 'previous',
+		'Ctrl+PageDown': 'next',
+	};
+	if (orientation === 'spatial') {
+		Object.assign(keyMap, {
+			ArrowUp: 'up',
+			ArrowDown: 'down',
+			ArrowLeft: 'left',
+			ArrowRight: 'right',
+		});
+	}
+	if (orientation === 'vertical' || orientation === 'both') {
+		Object.assign(keyMap, {
+			ArrowDown: 'next',
+			ArrowUp: 'previous',
+			'Ctrl+ArrowDown': 'nextGroup',
+			'Ctrl+ArrowUp': 'previousGroup',
+		});
+	}
+	if (orientation === 'horizontal' || orientation === 'both') {
+		Object.assign(keyMap, {
+			ArrowRight: rtl ? 'previous' : 'next',
+			ArrowLeft: rtl ? 'next' : 'previous',
+			'Ctrl+ArrowRight': rtl ? 'previousGroup' : 'nextGroup',
+			'Ctrl+ArrowLeft': rtl ? 'nextGroup' : 'previousGroup',
+		});
+	}
+	return keyMap;
+}
+
+const modifierAliases = {
+	ctrl: 'Ctrl',
+	control: 'Ctrl',
+	alt: 'Alt',
+	option: 'Alt',
+	shift: 'Shift',
+	meta: 'Meta',
+	cmd: 'Meta',
+	command: 'Meta',
+};
+const modifierOrder = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+/**
+ * normalizeKeyCombination brings a key combination into the form we build
+ * from keyboard events, e.g. `'shift+ctrl+Space'` into `'Ctrl+Shift+ '`.
+ * @param {string} combination
+ * @returns {string}
+ */
+export function normalizeKeyCombination(combination) {
+	const parts = combination.split('+');
+	// NOTE(joel): A trailing empty part means the key itself is `+`.
+	let key = parts.pop();
+	if (key === '' && parts.length) {
+		parts.pop();
+		key = '+';
+	}
+	if (key === 'Space') key = ' ';
+	const modifiers = parts.map(
+		part => modifierAliases[part.toLowerCase()] ?? part,
+	);
+	return [...modifierOrder.filter(m => modifiers.includes(m)), key].join('+');
+}
+
+/**
+ * getKeyMapAction looks up the action for a keyboard event.
+ * @param {DescendantKeyMap} keyMap
+ * @param {DescendantKeyEvent} event
+ * @returns {DescendantKeyAction | null | undefined}
+ */
+export function getKeyMapAction(keyMap, event) {
+	const actions = new Map(
+		Object.entries(keyMap).map(([combination, action]) => [
+			normalizeKeyCombination(combination),
+			action,
+		]),
+	);
+	const modifiers = [
+		event.ctrlKey && 'Ctrl',
+		event.altKey && 'Alt',
+		event.shiftKey && 'Shift',
+		event.metaKey && 'Meta',
+	].filter(Boolean);
+	const combination = [...modifiers, event.key].join('+');
+	return actions.has(combination)
+		? actions.get(combination)
+		: actions.get(event.key);
+}
+
+/**
+ * getVisiblePageSize returns how many descendants fit into the scroll
+ * container of `current`, less one so that the last visible descendant of a
+ * page stays visible on the next one. Without a scroll container, the
+ * viewport is used.
+ * @param {Array<Descendant>} descendants
+ * @param {Descendant} current
+ * @param {'vertical' | 'horizontal' | 'both' | 'grid' | 'spatial'} orientation
+ * @returns {number}
+ */
+export function getVisiblePageSize(descendants, current, orientation) {
+	if (!current || !current.element) return 1;
+	const horizontal = orientation === 'horizontal';
+	const container = getScrollContainer(current.element);
+	const ownerDocument = current.element.ownerDocument;
+	const bounds = container
+		? container.getBoundingClientRect()
+		: {
+				top: 0,
+				left: 0,
+				bottom: ownerDocument.documentElement.clientHeight,
+				right: ownerDocument.documentElement.clientWidth,
+		  };
+	const [start, end] = horizontal ? ['left', 'right'] : ['top', 'bottom'];
+
+	let visible = 0;
+	for (const descendant of descendants) {
+		if (!descendant.element) continue;
+		const rect = descendant.element.getBoundingClientRect();
+		if (rect[end] - rect[start] <= 0) continue;
+		if (rect[start] >= bounds[start] && rect[end] <= bounds[end]) visible++;
+	}
+	return Math.max(1, visible - 1);
+}
+
+/**
+ * getScrollContainer returns the closest ancestor of `element` that scrolls
+ * its overflowing content.
+ * @param {Element} element
+ * @returns {Element | null}
+ */
+function getScrollContainer(element) {
+	const view = element.ownerDocument.defaultView;
+	for (let node = element.parentElement; node; node = node.parentElement) {
+		const { overflow, overflowX, overflowY } = view.getComputedStyle(node);
+		if (/auto|scroll|overlay/.test(overflow + overflowX + overflowY)) {
+			return node;
+		}
+	}
+	return null;
+}
+
+/**
+ * getVirtualDescendants returns a descendant for every index up to `count`.
+ * Indexes without a mounted descendant are filled with a placeholder that has
+ * no element.
+ * @param {Array<Descendant>} descendants
+ * @param {number} count
+ * @returns {Array<Descendant>}
+ */
+export function getVirtualDescendants(descendants, count) {
+	const descendantsByIndex = new Map(
+		descendants.map(descendant => [descendant.index, descendant]),
+	);
+	return Array.from(
+		{ length: count },
+		(_, index) => descendantsByIndex.get(index) ?? { element: null, index },
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} GridNavigationOptions
+ * @prop {number} [columns] Number of columns of a grid in reading order.
+ *   Without it, each descendant has to have a `row` and a `column` field.
+ * @prop {number | null | undefined} currentIndex
+ * @prop {(descendant: Descendant) => boolean} [filter]
+ * @prop {boolean} [rotate=true]
+ * @prop {boolean} [rtl=false]
+ */
+
+/**
+ * @typedef {Object} GridCell
+ * @prop {Descendant} descendant
+ * @prop {number} row
+ * @prop {number} column
+ * @prop {boolean} selectable
+ */
+
+/**
+ * getGridOption returns the descendant a key press moves to when navigating
+ * in two dimensions. Cell positions are either derived from a fixed number
+ * of `columns` or read from the `row` and `column` fields of each descendant.
+ * @param {{key: string, ctrlKey?: boolean}} event A keyboard event or any
+ *   object with its `key` and `ctrlKey`.
+ * @param {Array<Descendant>} descendants
+ * @param {GridNavigationOptions} options
+ * @returns {Descendant}
+ */
+export function getGridOption(
+	event,
+	descendants,
+	{ columns, currentIndex, filter, rotate = true, rtl = false },
+) {
+	// NOTE(joel): Positions are computed from the unfiltered descendants so
+	// that filtered cells (e.g. disabled days in a calendar) keep their place
+	// in the grid. They are skipped over during navigation.
+	/** @type {Array<GridCell>} */
+	const cells = descendants
+		.map((descendant, i) => ({
+			descendant,
+			row: columns ? Math.floor(i / columns) : descendant.row,
+			column: columns ? i % columns : descendant.column,
+			selectable: filter ? filter(descendant) : true,
+		}))
+		.sort((a, b) => a.row - b.row || a.column - b.column);
+
+	const rows = Array.from(new Set(cells.map(cell => cell.row)));
+	const selectableCells = cells.filter(cell => cell.selectable);
+	const firstCell = selectableCells[0];
+	const lastCell = selectableCells[selectableCells.length - 1];
+
+	const current = cells.find(cell => cell.descendant.index === currentIndex);
+
+	// NOTE(joel): Without an active cell, keys pointing towards the end of the
+	// grid start at the last cell and all others at the first cell.
+	if (!current) {
+		return ['End', 'PageDown'].includes(event.key)
+			? lastCell.descendant
+			: firstCell.descendant;
+	}
+
+	/**
+	 * getCellInRow returns the cell of `row` below or above the current cell.
+	 * Ragged rows that end before the current column resolve to their last
+	 * cell.
+	 * @param {number} row
+	 * @returns {GridCell | undefined}
+	 */
+	function getCellInRow(row) {
+		const rowCells = cells.filter(cell => cell.row === row);
+		const lastInRow = rowCells[rowCells.length - 1];
+		const cell =
+			rowCells.find(cell => cell.column === current.column) ??
+			(lastInRow.column < current.column ? lastInRow : undefined);
+		return cell && cell.selectable ? cell : undefined;
+	}
+
+	/**
+	 * moveInRow moves `step` cells in reading order. Leaving the current row is
+	 * only possible if `rotate` is set, in which case we also wrap around at
+	 * the start and end of the grid.
+	 * @param {1 | -1} step
+	 * @returns {GridCell}
+	 */
+	function moveInRow(step) {
+		const position = cells.indexOf(current);
+		for (let i = 1; i < cells.length; i++) {
+			const cell =
+				cells[
+					(((position + step * i) % cells.length) + cells.length) % cells.length
+				];
+			if (!rotate && cell.row !== current.row) break;
+			if (cell.selectable) return cell;
+		}
+		return current;
+	}
+
+	/**
+	 * moveInColumn moves `step` rows up or down, skipping rows without a
+	 * selectable cell in the current column. If `rotate` is set, we wrap
+	 * around from the last to the first row and vice versa.
+	 * @param {1 | -1} step
+	 * @returns {GridCell}
+	 */
+	function moveInColumn(step) {
+		const rowPosition = rows.indexOf(current.row);
+		for (let i = 1; i < rows.length; i++) {
+			let nextPosition = rowPosition + step * i;
+			if (nextPosition < 0 || nextPosition >= rows.length) {
+				if (!rotate) break;
+				nextPosition = (nextPosition + rows.length) % rows.length;
+			}
+			const cell = getCellInRow(rows[nextPosition]);
+			if (cell) return cell;
+		}
+		return current;
+	}
+
+	/**
+	 * getRowEdge returns the first or last selectable cell of the current row.
+	 * @param {'first' | 'last'} edge
+	 * @returns {GridCell}
+	 */
+	function getRowEdge(edge) {
+		const rowCells = selectableCells.filter(cell => cell.row === current.row);
+		return (
+			(edge === 'first' ? rowCells[0] : rowCells[rowCells.length - 1]) ??
+			current
+		);
+	}
+
+	/**
+	 * getColumnEdge returns the top- or bottom-most selectable cell of the
+	 * current column.
+	 * @param {'first' | 'last'} edge
+	 * @returns {GridCell}
+	 */
+	function getColumnEdge(edge) {
+		const orderedRows = edge === 'first' ? rows : [...rows].reverse();
+		for (const row of orderedRows) {
+			const cell = getCellInRow(row);
+			if (cell) return cell;
+		}
+		return current;
+	}
+
+	let next = current;
+	switch (event.key) {
+		case 'ArrowDown':
+			next = moveInColumn(1);
+			break;
+		case 'ArrowUp':
+			next = moveInColumn(-1);
+			break;
+		case 'ArrowLeft':
+			next = moveInRow(rtl ? 1 : -1);
+			break;
+		case 'ArrowRight':
+			next = moveInRow(rtl ? -1 : 1);
+			break;
+		case 'PageUp':
+			next = getColumnEdge('first');
+			break;
+		case 'PageDown':
+			next = getColumnEdge('last');
+			break;
+		case 'Home':
+			next = event.ctrlKey ? firstCell : getRowEdge('first');
+			break;
+		case 'End':
+			next = event.ctrlKey ? lastCell : getRowEdge('last');
+			break;
+	}
+	return next.descendant;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} DescendantTreeNavigationOptions
+ * @prop {number | null | undefined} currentIndex
+ * @prop {(descendant: Descendant) => boolean} [filter]
+ * @prop {boolean} [rotate=false]
+ */
+
+/**
+ * @typedef {Object} DescendantTreeAction
+ * @prop {'select' | 'expand' | 'collapse'} type
+ * @prop {Descendant} option
+ */
+
+/**
+ * @typedef {Object} DescendantTreeNavigation
+ * @prop {Descendant | undefined} current
+ * @prop {Array<Descendant>} visibleDescendants
+ * @prop {() => Descendant | undefined} getNextOption
+ * @prop {() => Descendant | undefined} getPreviousOption
+ * @prop {() => Descendant | undefined} getFirstOption
+ * @prop {() => Descendant | undefined} getLastOption
+ * @prop {() => DescendantTreeAction | null} getExpandOrEnterAction
+ * @prop {() => DescendantTreeAction | null} getCollapseOrExitAction
+ * @prop {() => Array<Descendant>} getCollapsedSiblings
+ */
+
+/**
+ * createDescendantTreeNavigation returns the navigation primitives
+ * `useDescendantTreeKeyDown` is built on. Descendants have to be registered
+ * in tree mode and describe their state with an `expanded` field, which is
+ * left `undefined` for leaf nodes. Only visible descendants, i.e. those whose
+ * ancestors are all expanded, can be navigated to. None of the primitives has
+ * side effects; expanding and collapsing is described by the returned
+ * actions.
+ * @param {Array<Descendant>} descendants
+ * @param {DescendantTreeNavigationOptions} options
+ * @returns {DescendantTreeNavigation}
+ */
+export function createDescendantTreeNavigation(descendants, options) {
+	const { currentIndex, filter, rotate = false } = options;
+	const visibleDescendants = getVisibleTreeDescendants(descendants);
+	const selectableDescendants = filter
+		? visibleDescendants.filter(filter)
+		: visibleDescendants;
+	const current = visibleDescendants.find(
+		descendant => descendant.index === currentIndex,
+	);
+
+	/**
+	 * move returns the next selectable descendant in visible order, `step`
+	 * positions away from the current one.
+	 * @param {1 | -1} step
+	 * @returns {Descendant | undefined}
+	 */
+	function move(step) {
+		const length = visibleDescendants.length;
+		const position = visibleDescendants.indexOf(current);
+		for (let i = 1; i <= length; i++) {
+			let nextPosition = position + step * i;
+			if (nextPosition < 0 || nextPosition >= length) {
+				if (!rotate && position !== -1) return;
+				nextPosition = (nextPosition + length) % length;
+			}
+			const next = visibleDescendants[nextPosition];
+			if (selectableDescendants.includes(next)) return next;
+		}
+	}
+
+	return {
+		current,
+		visibleDescendants,
+		getNextOption: () => move(1),
+		getPreviousOption: () => move(-1),
+		getFirstOption: () => selectableDescendants[0],
+		getLastOption: () =>
+			selectableDescendants[selectableDescendants.length - 1],
+		// NOTE(joel): Opens the current descendant or, if it is open already,
+		// moves to its first child.
+		getExpandOrEnterAction() {
+			if (!current || !isTreeParent(current)) return null;
+			if (current.expanded === false) {
+				return { type: 'expand', option: current };
+			}
+			const firstChild = current.children.find(child =>
+				selectableDescendants.includes(child),
+			);
+			return firstChild ? { type: 'select', option: firstChild } : null;
+		},
+		// NOTE(joel): Closes the current descendant or, if it is closed already,
+		// moves to its parent.
+		getCollapseOrExitAction() {
+			if (!current) return null;
+			if (isTreeParent(current) && current.expanded === true) {
+				return { type: 'collapse', option: current };
+			}
+			return current.parent && selectableDescendants.includes(current.parent)
+				? { type: 'select', option: current.parent }
+				: null;
+		},
+		// NOTE(joel): All closed siblings on the current level, including the
+		// current descendant itself.
+		getCollapsedSiblings() {
+			if (!current) return [];
+			const siblings = current.parent
+				? current.parent.children
+				: visibleDescendants.filter(descendant => !descendant.parent);
+			return siblings.filter(sibling => sibling.expanded === false);
+		},
+	};
+}
+
+/**
+ * getVisibleTreeDescendants returns descendants in tree order, leaving out
+ * those with a collapsed ancestor.
+ * @param {Array<Descendant>} descendants
+ * @returns {Array<Descendant>}
+ */
+export function getVisibleTreeDescendants(descendants) {
+	const visible = [];
+
+	/**
+	 * visit
+	 * @param {Descendant} descendant
+	 */
+	function visit(descendant) {
+		visible.push(descendant);
+		if (descendant.expanded === false) return;
+		descendant.children.forEach(visit);
+	}
+
+	descendants.filter(descendant => !descendant.parent).forEach(visit);
+	return visible;
+}
+
+/**
+ * isTreeParent
+ * @param {Descendant} descendant
+ * @returns {boolean}
+ */
+function isTreeParent(descendant) {
+	return descendant.expanded != null || descendant.children.length > 0;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} DescendantTypeaheadMatchOptions
+ * @prop {number | null | undefined} currentIndex
+ * @prop {(descendant: Descendant) => boolean} [filter]
+ * @prop {string} [textKey='key']
+ */
+
+/**
+ * getTypeaheadOption returns the descendant whose text starts with `search`,
+ * the lower-cased characters typed so far. A search of one repeated
+ * character (e.g. "aaa") cycles through all descendants starting with it.
+ * @param {Array<Descendant>} descendants
+ * @param {string} search
+ * @param {DescendantTypeaheadMatchOptions} options
+ * @returns {Descendant | undefined}
+ */
+export function getTypeaheadOption(descendants, search, options) {
+	const { currentIndex, filter, textKey = 'key' } = options;
+	const selectableDescendants = filter
+		? descendants.filter(filter)
+		: descendants;
+	if (!search || !selectableDescendants.length) return;
+
+	const selectableIndex = selectableDescendants.findIndex(
+		descendant => descendant.index === currentIndex,
+	);
+
+	/**
+	 * findMatch walks the selectable descendants starting at `startIndex`,
+	 * wrapping around at the end of the list, and returns the first one
+	 * whose text starts with `prefix`.
+	 * @param {string} prefix
+	 * @param {number} startIndex
+	 * @returns {Descendant | undefined}
+	 */
+	function findMatch(prefix, startIndex) {
+		const length = selectableDescendants.length;
+		for (let i = 0; i < length; i++) {
+			const descendant =
+				selectableDescendants[(startIndex + i + length) % length];
+			const text = String(descendant[textKey] ?? '').toLowerCase();
+			if (text.startsWith(prefix)) return descendant;
+		}
+	}
+
+	let match;
+	if (search.length > 1) {
+		// NOTE(joel): While the user keeps typing, the current item stays a
+		// valid match as long as it still starts with the search string.
+		match = findMatch(search, Math.max(selectableIndex, 0));
+	}
+
+	// NOTE(joel): Repeatedly pressing the same key (e.g. "aaa") cycles
+	// through all items sharing that first letter, starting after the
+	// current one.
+	const isRepeatedChar = search
+		.split('')
+		.every(char => char === search.charAt(0));
+	if (!match && (search.length === 1 || isRepeatedChar)) {
+		match = findMatch(search.charAt(0), selectableIndex + 1);
+	}
+	return match;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {[number, number]} DescendantMatchRange Start (inclusive) and end
+ *   (exclusive) offset of a match within the text of a descendant.
+ */
+
+/**
+ * @callback DescendantMatcher
+ * @param {Descendant} descendant
+ * @param {string} query
+ * @returns {Array<DescendantMatchRange> | null} The ranges to highlight, or
+ *   null if the descendant does not match.
+ */
+
+/**
+ * @typedef {Descendant & {viewIndex: number, matches: Array<DescendantMatchRange>}} DescendantViewItem
+ */
+
+/**
+ * @typedef {Object} DescendantViewOptions
+ * @prop {string} [query=''] Without a query, every descendant is visible.
+ * @prop {string} [textKey='key'] The descendant field the default matcher
+ *   searches.
+ * @prop {DescendantMatcher} [match] Replaces the default matcher, which
+ *   finds every case-insensitive occurrence of `query`.
+ */
+
+/**
+ * @typedef {Object} DescendantView
+ * @prop {Array<DescendantViewItem>} descendants The visible descendants.
+ * @prop {(descendant: Descendant) => boolean} filter Accepts visible
+ *   descendants, e.g. for the `filter` option of `useDescendantKeyDown` or
+ *   `useDescendantItemAria`.
+ * @prop {(index: number) => number} getViewIndex Returns the position of the
+ *   descendant at `index` among the visible ones, or -1 if it is hidden.
+ * @prop {(index: number) => Array<DescendantMatchRange>} getMatches
+ */
+
+/**
+ * createDescendantView matches `descendants` against a query once and
+ * returns the visible ones, their position in the view and the ranges to
+ * highlight. Lookups afterwards are constant time, so navigating a filtered
+ * list does not run the matcher again.
+ * @param {Array<Descendant>} descendants
+ * @param {DescendantViewOptions} [options={}]
+ * @returns {DescendantView}
+ */
+export function createDescendantView(descendants, options = {}) {
+	const { query = '', textKey = 'key', match } = options;
+	const matcher =
+		match ??
+		((descendant, query) =>
+			getTextMatches(String(descendant[textKey] ?? ''), query));
+
+	/** @type {Array<DescendantViewItem>} */
+	const visible = [];
+	/** @type {Map<number, DescendantViewItem>} */
+	const itemsByIndex = new Map();
+	for (const descendant of descendants) {
+		const matches = query ? matcher(descendant, query) : [];
+		if (!matches) continue;
+		const item = { ...descendant, viewIndex: visible.length, matches };
+		visible.push(item);
+		itemsByIndex.set(descendant.index, item);
+	}
+
+	return {
+		descendants: visible,
+		filter: descendant => itemsByIndex.has(descendant.index),
+		getViewIndex: index => itemsByIndex.get(index)?.viewIndex ?? -1,
+		getMatches: index => itemsByIndex.get(index)?.matches ?? [],
+	};
+}
+
+/**
+ * getTextMatches returns the ranges of all case-insensitive, non-overlapping
+ * occurrences of `query` in `text`, or null if there are none.
+ * @param {string} text
+ * @param {string} query
+ * @returns {Array<DescendantMatchRange> | null}
+ */
+function getTextMatches(text, query) {
+	const haystack = text.toLowerCase();
+	const needle = query.toLowerCase();
+	const matches = [];
+	let start = haystack.indexOf(needle);
+	while (start !== -1) {
+		matches.push([start, start + needle.length]);
+		start = haystack.indexOf(needle, start + needle.length);
+	}
+	return matches.length ? matches : null;
+}
@@ -1,12 +1,35 @@
 import * as React from 'react';
+import { act, waitFor } from '@testing-library/react';
+import * as ReactDOM from 'react-dom';
+import { hydrateRoot } from 'react-dom/client';
+import { renderToString } from 'react-dom/server.node';
 import { render, userEvent } from './test-utils';
 
 import {
 	createDescendantContext,
+	createDescendantNavigation,
+	getDescendantKeyMap,
+	useActiveDescendant,
+	DescendantGroup,
+	DescendantPortal,
 	DescendantProvider,
+	DescendantRegistry,
 	useDescendant,
 	useDescendants,
 	useDescendantsInit,
+	useDescendantItemAria,
+	useDescendantGroupIndex,
+	useDescendantIndex,
+	useDescendantKeyDown,
+	useDescendantListAria,
+	useDescendantRegistry,
+	useDescendantReorder,
+	useDescendantSelection,
+	useDescendantTreeKeyDown,
+	useDescendantTypeahead,
+	useDescendantView,
+	useRovingTabIndex,
+	useRovingTabIndexItem,
 } from '../src/index';
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -190,3 +213,2855 @@ describe('DescendantProvider and useDescendant', () => {
 		);
 	});
 });
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('useDescendantTypeahead', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	function Listbox({ children, timeout }) {
+		const [descendants, setDescendants] = useDescendantsInit();
+		return (
+			<DescendantProvider
+				context={DescendantContext}
+				items={descendants}
+				set={setDescendants}
+			>
+				<List timeout={timeout}>{children}</List>
+			</DescendantProvider>
+		);
+	}
+
+	function List({ children, timeout }) {
+		const [activeIndex, activeIndexSet] = React.useState(-1);
+		const handleKeyDown = useDescendantTypeahead(DescendantContext, {
+			currentIndex: activeIndex,
+			callback: activeIndexSet,
+			filter: descendant => !descendant.disabled,
+			timeout,
+		});
+
+		return (
+			<div
+				role="listbox"
+				tabIndex={0}
+				data-active={activeIndex}
+				onKeyDown={handleKeyDown}
+			>
+				{children}
+			</div>
+		);
+	}
+
+	function Option({ label, disabled = false }) {
+		const [element, elementSet] = React.useState(null);
+		const descendant = React.useMemo(
+			() => ({ element, key: label, disabled }),
+			[element, label, disabled],
+		);
+		useDescendant(descendant, DescendantContext);
+		return (
+			<div role="option" ref={elementSet}>
+				{label}
+			</div>
+		);
+	}
+
+	const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+	it('should move to the first item matching the typed characters', async () => {
+		const { getByRole } = render(
+			<Listbox>
+				<Option label="Apple" />
+				<Option label="Banana" />
+				<Option label="Blueberry" />
+			</Listbox>,
+		);
+
+		const listbox = getByRole('listbox');
+		listbox.focus();
+		await userEvent.keyboard('bl');
+		expect(listbox.dataset.active).toBe('2');
+	});
+
+	it('should cycle through items sharing a first letter', async () => {
+		const { getByRole } = render(
+			<Listbox timeout={10}>
+				<Option label="Apple" />
+				<Option label="Banana" />
+				<Option label="Blueberry" />
+			</Listbox>,
+		);
+
+		const listbox = getByRole('listbox');
+		listbox.focus();
+		await userEvent.keyboard('b');
+		expect(listbox.dataset.active).toBe('1');
+		await wait(20);
+		await userEvent.keyboard('b');
+		expect(listbox.dataset.active).toBe('2');
+		await wait(20);
+		await userEvent.keyboard('b');
+		expect(listbox.dataset.active).toBe('1');
+		await userEvent.keyboard('b');
+		expect(listbox.dataset.active).toBe('2');
+	});
+
+	it('should skip filtered items and ignore modifier shortcuts', async () => {
+		const { getByRole } = render(
+			<Listbox>
+				<Option label="Apple" />
+				<Option label="Banana" disabled />
+				<Option label="Blueberry" />
+			</Listbox>,
+		);
+
+		const listbox = getByRole('listbox');
+		listbox.focus();
+		await userEvent.keyboard('{Control>}a{/Control}');
+		expect(listbox.dataset.active).toBe('-1');
+		await userEvent.keyboard('b');
+		expect(listbox.dataset.active).toBe('2');
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('useDescendantKeyDown with grid orientation', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	function Grid({ children, ...options }) {
+		const [descendants, setDescendants] = useDescendantsInit();
+		return (
+			<DescendantProvider
+				context={DescendantContext}
+				items={descendants}
+				set={setDescendants}
+			>
+				<GridBody {...options}>{children}</GridBody>
+			</DescendantProvider>
+		);
+	}
+
+	function GridBody({ children, defaultIndex = 0, ...options }) {
+		const [activeIndex, activeIndexSet] = React.useState(defaultIndex);
+		const handleKeyDown = useDescendantKeyDown(DescendantContext, {
+			currentIndex: activeIndex,
+			callback: activeIndexSet,
+			orientation: 'grid',
+			rotate: false,
+			...options,
+		});
+
+		return (
+			<div
+				role="grid"
+				tabIndex={0}
+				data-active={activeIndex}
+				onKeyDown={handleKeyDown}
+			>
+				{children}
+			</div>
+		);
+	}
+
+	function Cell({ row, column, disabled = false }) {
+		const [element, elementSet] = React.useState(null);
+		const descendant = React.useMemo(
+			() => ({ element, row, column, disabled }),
+			[element, row, column, disabled],
+		);
+		useDescendant(descendant, DescendantContext);
+		return <div role="gridcell" ref={elementSet} />;
+	}
+
+	// NOTE: Renders a 3-column grid with 7 cells and a ragged last row:
+	//   0 1 2
+	//   3 4 5
+	//   6
+	function renderGrid(props = {}) {
+		const result = render(
+			<Grid columns={3} {...props}>
+				{Array.from({ length: 7 }, (_, i) => (
+					<Cell key={i} disabled={props.disabledIndex === i} />
+				))}
+			</Grid>,
+		);
+		const grid = result.getByRole('grid');
+		grid.focus();
+		return grid;
+	}
+
+	it('should move between rows with ArrowUp and ArrowDown', async () => {
+		const grid = renderGrid({ defaultIndex: 1 });
+		await userEvent.keyboard('{ArrowDown}');
+		expect(grid.dataset.active).toBe('4');
+		await userEvent.keyboard('{ArrowUp}');
+		expect(grid.dataset.active).toBe('1');
+		await userEvent.keyboard('{ArrowUp}');
+		expect(grid.dataset.active).toBe('1');
+	});
+
+	it('should clamp to the last cell of a ragged row', async () => {
+		const grid = renderGrid({ defaultIndex: 5 });
+		await userEvent.keyboard('{ArrowDown}');
+		expect(grid.dataset.active).toBe('6');
+	});
+
+	it('should skip filtered cells in the current column', async () => {
+		const grid = renderGrid({
+			defaultIndex: 0,
+			disabledIndex: 3,
+			filter: descendant => !descendant.disabled,
+		});
+		await userEvent.keyboard('{ArrowDown}');
+		expect(grid.dataset.active).toBe('6');
+	});
+
+	it('should handle Home/End per row and Ctrl+Home/Ctrl+End per grid', async () => {
+		const grid = renderGrid({ defaultIndex: 4 });
+		await userEvent.keyboard('{End}');
+		expect(grid.dataset.active).toBe('5');
+		await userEvent.keyboard('{Home}');
+		expect(grid.dataset.active).toBe('3');
+		await userEvent.keyboard('{Control>}{End}{/Control}');
+		expect(grid.dataset.active).toBe('6');
+		await userEvent.keyboard('{Control>}{Home}{/Control}');
+		expect(grid.dataset.active).toBe('0');
+	});
+
+	it('should wrap across rows when rotating', async () => {
+		const grid = renderGrid({ defaultIndex: 2, rotate: true });
+		await userEvent.keyboard('{ArrowRight}');
+		expect(grid.dataset.active).toBe('3');
+		await userEvent.keyboard('{ArrowLeft}');
+		expect(grid.dataset.active).toBe('2');
+		await userEvent.keyboard('{ArrowDown}{ArrowDown}');
+		expect(grid.dataset.active).toBe('6');
+		await userEvent.keyboard('{ArrowDown}');
+		expect(grid.dataset.active).toBe('0');
+	});
+
+	it('should stay within the row when not rotating', async () => {
+		const grid = renderGrid({ defaultIndex: 2 });
+		await userEvent.keyboard('{ArrowRight}');
+		expect(grid.dataset.active).toBe('2');
+	});
+
+	it('should mirror horizontal movement in rtl mode', async () => {
+		const grid = renderGrid({ defaultIndex: 1, rtl: true });
+		await userEvent.keyboard('{ArrowRight}');
+		expect(grid.dataset.active).toBe('0');
+		await userEvent.keyboard('{ArrowLeft}{ArrowLeft}');
+		expect(grid.dataset.active).toBe('2');
+	});
+
+	it('should read row and column metadata from descendants', async () => {
+		// NOTE: A calendar month starting on the third day of the week:
+		//       0 1
+		//   2 3 4
+		const { getByRole } = render(
+			<Grid defaultIndex={0}>
+				<Cell row={0} column={1} />
+				<Cell row={0} column={2} />
+				<Cell row={1} column={0} />
+				<Cell row={1} column={1} />
+				<Cell row={1} column={2} />
+			</Grid>,
+		);
+		const grid = getByRole('grid');
+		grid.focus();
+		await userEvent.keyboard('{ArrowDown}');
+		expect(grid.dataset.active).toBe('3');
+		await userEvent.keyboard('{Home}');
+		expect(grid.dataset.active).toBe('2');
+		await userEvent.keyboard('{ArrowUp}');
+		expect(grid.dataset.active).toBe('2');
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('useRovingTabIndex and useRovingTabIndexItem', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	function Toolbar({ children, filter }) {
+		const [descendants, setDescendants] = useDescendantsInit();
+		return (
+			<DescendantProvider
+				context={DescendantContext}
+				items={descendants}
+				set={setDescendants}
+			>
+				<ToolbarInner filter={filter}>{children}</ToolbarInner>
+			</DescendantProvider>
+		);
+	}
+
+	function ToolbarInner({ children, filter }) {
+		const rovingTabIndex = useRovingTabIndex(DescendantContext, { filter });
+		const handleKeyDown = useDescendantKeyDown(DescendantContext, {
+			currentIndex: rovingTabIndex.activeIndex,
+			callback: rovingTabIndex.focus,
+			orientation: 'horizontal',
+		});
+
+		return (
+			<div role="toolbar" onKeyDown={handleKeyDown}>
+				{children}
+			</div>
+		);
+	}
+
+	function ToolbarButton({ label, onRemove, disabled = false }) {
+		const { props: rovingProps } = useRovingTabIndexItem(DescendantContext, {
+			disabled,
+		});
+		return (
+			<button
+				onKeyDown={event => {
+					if (event.key === 'Delete') onRemove(label);
+				}}
+				{...rovingProps}
+			>
+				{label}
+			</button>
+		);
+	}
+
+	function Layout() {
+		const [items, itemsSet] = React.useState(['Bold', 'Italic', 'Underline']);
+		const handleRemove = label => itemsSet(items.filter(i => i !== label));
+		return (
+			<Toolbar>
+				{items.map(label => (
+					<ToolbarButton key={label} label={label} onRemove={handleRemove} />
+				))}
+			</Toolbar>
+		);
+	}
+
+	it('should keep exactly one descendant in the tab sequence', async () => {
+		const { getByText } = render(<Layout />);
+		expect(getByText('Bold').tabIndex).toBe(0);
+		expect(getByText('Italic').tabIndex).toBe(-1);
+		expect(getByText('Underline').tabIndex).toBe(-1);
+
+		await userEvent.tab();
+		expect(document.activeElement).toBe(getByText('Bold'));
+
+		await userEvent.keyboard('{ArrowRight}');
+		expect(document.activeElement).toBe(getByText('Italic'));
+		expect(getByText('Bold').tabIndex).toBe(-1);
+		expect(getByText('Italic').tabIndex).toBe(0);
+	});
+
+	it('should make a clicked descendant the active one', async () => {
+		const { getByText } = render(<Layout />);
+
+		await userEvent.click(getByText('Underline'));
+		expect(getByText('Underline').tabIndex).toBe(0);
+		expect(getByText('Bold').tabIndex).toBe(-1);
+	});
+
+	it('should move focus to a neighbor when the focused descendant unregisters', async () => {
+		const { getByText, queryByText } = render(<Layout />);
+
+		await userEvent.click(getByText('Italic'));
+		await userEvent.keyboard('{Delete}');
+		expect(queryByText('Italic')).toBeNull();
+		expect(getByText('Underline').tabIndex).toBe(0);
+		expect(document.activeElement).toBe(getByText('Underline'));
+
+		await userEvent.keyboard('{Delete}');
+		expect(getByText('Bold').tabIndex).toBe(0);
+		expect(document.activeElement).toBe(getByText('Bold'));
+	});
+
+	it('should register the element the ref is attached to', () => {
+		function Elements() {
+			const descendants = useDescendants(DescendantContext);
+			return (
+				<output>{descendants.map(d => d.element.textContent).join()}</output>
+			);
+		}
+
+		const { container } = render(
+			<Toolbar>
+				<ToolbarButton label="Bold" />
+				<ToolbarButton label="Italic" />
+				<Elements />
+			</Toolbar>,
+		);
+		expect(container.querySelector('output').textContent).toBe('Bold,Italic');
+	});
+
+	it('should share the active descendant with the provider', async () => {
+		function ActiveIndex() {
+			const { activeIndex, setActiveIndex } =
+				useActiveDescendant(DescendantContext);
+			return (
+				<output onClick={() => setActiveIndex(2)}>{String(activeIndex)}</output>
+			);
+		}
+
+		const { container, getByText } = render(
+			<Toolbar>
+				<ToolbarButton label="Bold" />
+				<ToolbarButton label="Italic" />
+				<ToolbarButton label="Underline" />
+				<ActiveIndex />
+			</Toolbar>,
+		);
+		const output = container.querySelector('output');
+		expect(output.textContent).toBe('0');
+
+		await userEvent.click(getByText('Italic'));
+		expect(output.textContent).toBe('1');
+
+		await userEvent.click(output);
+		expect(getByText('Underline').tabIndex).toBe(0);
+		expect(getByText('Italic').tabIndex).toBe(-1);
+	});
+
+	it('should skip descendants rejected by filter', async () => {
+		const { getByText } = render(
+			<Toolbar filter={descendant => !descendant.disabled}>
+				<ToolbarButton label="Bold" disabled />
+				<ToolbarButton label="Italic" />
+				<ToolbarButton label="Underline" />
+			</Toolbar>,
+		);
+		expect(getByText('Bold').tabIndex).toBe(-1);
+		expect(getByText('Italic').tabIndex).toBe(0);
+
+		await userEvent.tab();
+		expect(document.activeElement).toBe(getByText('Italic'));
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('DescendantProvider in tree mode and useDescendantTreeKeyDown', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+	const TreeContext = React.createContext(null);
+
+	function Tree({ children, defaultExpanded = [] }) {
+		const [descendants, setDescendants] = useDescendantsInit();
+		return (
+			<DescendantProvider
+				context={DescendantContext}
+				items={descendants}
+				set={setDescendants}
+				tree
+			>
+				<TreeInner defaultExpanded={defaultExpanded}>{children}</TreeInner>
+			</DescendantProvider>
+		);
+	}
+
+	function TreeInner({ children, defaultExpanded }) {
+		const descendants = useDescendants(DescendantContext);
+		const [activeIndex, activeIndexSet] = React.useState(0);
+		const [expanded, expandedSet] = React.useState(defaultExpanded);
+		const handleKeyDown = useDescendantTreeKeyDown(DescendantContext, {
+			currentIndex: activeIndex,
+			callback: option => activeIndexSet(option.index),
+			key: 'option',
+			filter: descendant => !descendant.disabled,
+			onExpand: option => expandedSet(labels => [...labels, option.label]),
+			onCollapse: option =>
+				expandedSet(labels => labels.filter(label => label !== option.label)),
+		});
+
+		const active = descendants.find(d => d.index === activeIndex);
+
+		return (
+			<TreeContext.Provider value={expanded}>
+				<ul
+					role="tree"
+					tabIndex={0}
+					data-active={active ? active.label : ''}
+					onKeyDown={handleKeyDown}
+				>
+					{children}
+				</ul>
+			</TreeContext.Provider>
+		);
+	}
+
+	function TreeItem({ label, children, disabled = false }) {
+		const expandedLabels = React.useContext(TreeContext);
+		const [element, elementSet] = React.useState(null);
+		const hasChildren = React.Children.count(children) > 0;
+		const expanded = hasChildren ? expandedLabels.includes(label) : undefined;
+		const descendant = React.useMemo(
+			() => ({ element, label, expanded, disabled }),
+			[element, label, expanded, disabled],
+		);
+		useDescendant(descendant, DescendantContext);
+		return (
+			<li role="treeitem" aria-expanded={expanded} ref={elementSet}>
+				{label}
+				{expanded ? <ul role="group">{children}</ul> : null}
+			</li>
+		);
+	}
+
+	it('should record parent, depth and children of each descendant', () => {
+		function Inspector() {
+			const descendants = useDescendants(DescendantContext);
+			return (
+				<li data-testid="tree">
+					{JSON.stringify(
+						descendants.map(d => [
+							d.label,
+							d.depth,
+							d.parent ? d.parent.label : null,
+							d.children.map(child => child.label),
+						]),
+					)}
+				</li>
+			);
+		}
+
+		const { getByTestId } = render(
+			<Tree defaultExpanded={['Fruits', 'Berries']}>
+				<TreeItem label="Fruits">
+					<TreeItem label="Apple" />
+					<TreeItem label="Berries">
+						<TreeItem label="Blueberry" />
+					</TreeItem>
+				</TreeItem>
+				<TreeItem label="Vegetables" />
+				<Inspector />
+			</Tree>,
+		);
+
+		expect(JSON.parse(getByTestId('tree').textContent)).toEqual([
+			['Fruits', 0, null, ['Apple', 'Berries']],
+			['Apple', 1, 'Fruits', []],
+			['Berries', 1, 'Fruits', ['Blueberry']],
+			['Blueberry', 2, 'Berries', []],
+			['Vegetables', 0, null, []],
+		]);
+	});
+
+	function renderTree(props = {}) {
+		const result = render(
+			<Tree {...props}>
+				<TreeItem label="Fruits">
+					<TreeItem label="Apple" />
+					<TreeItem label="Banana" disabled />
+					<TreeItem label="Cherry" />
+				</TreeItem>
+				<TreeItem label="Vegetables">
+					<TreeItem label="Carrot" />
+				</TreeItem>
+				<TreeItem label="Grains" />
+			</Tree>,
+		);
+		const tree = result.getByRole('tree');
+		tree.focus();
+		return tree;
+	}
+
+	it('should only walk visible descendants', async () => {
+		const tree = renderTree({ defaultExpanded: ['Fruits'] });
+		expect(tree.dataset.active).toBe('Fruits');
+		await userEvent.keyboard('{ArrowDown}{ArrowDown}');
+		expect(tree.dataset.active).toBe('Cherry');
+		await userEvent.keyboard('{ArrowDown}{ArrowDown}');
+		expect(tree.dataset.active).toBe('Grains');
+		await userEvent.keyboard('{ArrowDown}');
+		expect(tree.dataset.active).toBe('Grains');
+		await userEvent.keyboard('{Home}');
+		expect(tree.dataset.active).toBe('Fruits');
+		await userEvent.keyboard('{End}');
+		expect(tree.dataset.active).toBe('Grains');
+	});
+
+	it('should expand, enter, collapse and exit with ArrowRight and ArrowLeft', async () => {
+		const tree = renderTree();
+		await userEvent.keyboard('{ArrowRight}');
+		expect(tree.dataset.active).toBe('Fruits');
+		expect(tree.querySelectorAll('[role="treeitem"]')).toHaveLength(6);
+		await userEvent.keyboard('{ArrowRight}');
+		expect(tree.dataset.active).toBe('Apple');
+		await userEvent.keyboard('{ArrowLeft}');
+		expect(tree.dataset.active).toBe('Fruits');
+		await userEvent.keyboard('{ArrowLeft}');
+		expect(tree.dataset.active).toBe('Fruits');
+		expect(tree.querySelectorAll('[role="treeitem"]')).toHaveLength(3);
+	});
+
+	it('should expand all siblings with *', async () => {
+		const tree = renderTree();
+		await userEvent.keyboard('*');
+		expect(tree.querySelectorAll('[role="treeitem"]')).toHaveLength(7);
+		await userEvent.keyboard('{End}');
+		expect(tree.dataset.active).toBe('Grains');
+		await userEvent.keyboard('{ArrowUp}');
+		expect(tree.dataset.active).toBe('Carrot');
+	});
+
+	it('should index re-rendered descendants by document position without tree', () => {
+		function Item({ label, version }) {
+			const [element, elementSet] = React.useState(null);
+			const descendant = React.useMemo(
+				() => ({ element, label, version }),
+				[element, label, version],
+			);
+			const index = useDescendant(descendant, DescendantContext);
+			return <li ref={elementSet}>{`${label}:${index}`}</li>;
+		}
+
+		function List({ labels }) {
+			const [descendants, setDescendants] = useDescendantsInit();
+			return (
+				<DescendantProvider
+					context={DescendantContext}
+					items={descendants}
+					set={setDescendants}
+				>
+					<ul>
+						{labels.map(label => (
+							<Item key={label} label={label} version={labels.length} />
+						))}
+					</ul>
+				</DescendantProvider>
+			);
+		}
+
+		const { container, rerender } = render(<List labels={['b', 'c']} />);
+		// NOTE: `b` and `c` re-register with a new `version`. They must not keep
+		// their previous index as if it was an explicit one.
+		rerender(<List labels={['a', 'b', 'c']} />);
+		expect(container.textContent).toBe('a:0b:1c:2');
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('DescendantProvider with a total count', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	function VirtualList({ count, windowSize, scrollToIndexSpy }) {
+		const [descendants, setDescendants] = useDescendantsInit();
+		const [start, startSet] = React.useState(0);
+		const scrollToIndex = index => {
+			scrollToIndexSpy(index);
+			startSet(Math.min(index, count - windowSize));
+		};
+
+		return (
+			<DescendantProvider
+				context={DescendantContext}
+				items={descendants}
+				set={setDescendants}
+				count={count}
+			>
+				<List scrollToIndex={scrollToIndex}>
+					{Array.from({ length: windowSize }, (_, i) => (
+						<Row key={start + i} index={start + i} />
+					))}
+				</List>
+			</DescendantProvider>
+		);
+	}
+
+	function List({ children, scrollToIndex }) {
+		const rovingTabIndex = useRovingTabIndex(DescendantContext);
+		const handleKeyDown = useDescendantKeyDown(DescendantContext, {
+			currentIndex: rovingTabIndex.activeIndex,
+			callback: rovingTabIndex.focus,
+			rotate: false,
+			scrollToIndex,
+		});
+
+		return (
+			<div role="listbox" onKeyDown={handleKeyDown}>
+				{children}
+			</div>
+		);
+	}
+
+	function Row({ index: indexProp }) {
+		const { index, props } = useRovingTabIndexItem(
+			DescendantContext,
+			undefined,
+			indexProp,
+		);
+		return (
+			<div role="option" {...props}>
+				Row {index}
+			</div>
+		);
+	}
+
+	it('should navigate to descendants that are not mounted', async () => {
+		const scrollToIndexSpy = jest.fn();
+		const { getByText, queryByText } = render(
+			<VirtualList
+				count={100}
+				windowSize={5}
+				scrollToIndexSpy={scrollToIndexSpy}
+			/>,
+		);
+
+		await userEvent.click(getByText('Row 4'));
+		await userEvent.keyboard('{ArrowDown}');
+		expect(scrollToIndexSpy).toHaveBeenLastCalledWith(5);
+		expect(document.activeElement).toBe(getByText('Row 5'));
+		expect(queryByText('Row 0')).toBeNull();
+
+		await userEvent.keyboard('{End}');
+		expect(scrollToIndexSpy).toHaveBeenLastCalledWith(99);
+		expect(document.activeElement).toBe(getByText('Row 99'));
+
+		await userEvent.keyboard('{ArrowDown}');
+		expect(scrollToIndexSpy).toHaveBeenCalledTimes(2);
+		expect(document.activeElement).toBe(getByText('Row 99'));
+
+		await userEvent.keyboard('{Home}');
+		expect(scrollToIndexSpy).toHaveBeenLastCalledWith(0);
+		expect(document.activeElement).toBe(getByText('Row 0'));
+	});
+
+	it('should not call scrollToIndex for mounted descendants', async () => {
+		const scrollToIndexSpy = jest.fn();
+		const { getByText } = render(
+			<VirtualList
+				count={100}
+				windowSize={5}
+				scrollToIndexSpy={scrollToIndexSpy}
+			/>,
+		);
+
+		await userEvent.click(getByText('Row 1'));
+		await userEvent.keyboard('{ArrowDown}');
+		expect(document.activeElement).toBe(getByText('Row 2'));
+		expect(scrollToIndexSpy).not.toHaveBeenCalled();
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('DescendantProvider render performance', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	function List({ children, onRender }) {
+		const [descendants, setDescendants] = useDescendantsInit();
+		onRender(descendants);
+		return (
+			<DescendantProvider
+				context={DescendantContext}
+				items={descendants}
+				set={setDescendants}
+			>
+				{children}
+			</DescendantProvider>
+		);
+	}
+
+	const Item = React.memo(function Item({ onRender }) {
+		const [element, elementSet] = React.useState(null);
+		const descendant = React.useMemo(() => ({ element }), [element]);
+		const index = useDescendant(descendant, DescendantContext);
+		onRender(index);
+		return <div ref={elementSet}>{index}</div>;
+	});
+
+	function Layout({ count, onListRender, onItemRender }) {
+		return (
+			<List onRender={onListRender}>
+				{Array.from({ length: count }, (_, i) => (
+					<Item key={i} onRender={onItemRender} />
+				))}
+			</List>
+		);
+	}
+
+	it('should render each of 1,000 items a constant number of times', () => {
+		const onListRender = jest.fn();
+		const onItemRender = jest.fn();
+		const { container, rerender } = render(
+			<Layout
+				count={1000}
+				onListRender={onListRender}
+				onItemRender={onItemRender}
+			/>,
+		);
+
+		expect(container.lastChild.textContent).toBe('999');
+		expect(onListRender.mock.lastCall[0]).toHaveLength(1000);
+
+		// NOTE: Every item renders once without an element and once after its
+		// element is set. Registering does not re-render it because the index
+		// it got from render order is already correct.
+		expect(onItemRender).toHaveBeenCalledTimes(2000);
+		// NOTE: All 1,000 registrations are batched into one store update,
+		// which is mirrored to the `set` state setter once.
+		expect(onListRender).toHaveBeenCalledTimes(2);
+
+		onItemRender.mockClear();
+		rerender(
+			<Layout
+				count={1001}
+				onListRender={onListRender}
+				onItemRender={onItemRender}
+			/>,
+		);
+
+		// NOTE: Appending an item does not re-render any existing item.
+		expect(container.lastChild.textContent).toBe('1000');
+		expect(onItemRender).toHaveBeenCalledTimes(3);
+		expect(onItemRender).toHaveBeenLastCalledWith(1000);
+	});
+
+	it('should mirror the first registrations to `set`', () => {
+		function IdItem({ id }) {
+			const descendant = React.useMemo(() => ({ id }), [id]);
+			const index = useDescendant(descendant, DescendantContext);
+			return `${id}:${index} `;
+		}
+
+		// NOTE: Descendants with an id register once, in the same commit as
+		// the provider mounts.
+		const onListRender = jest.fn();
+		const { container } = render(
+			<List onRender={onListRender}>
+				<IdItem id="a" />
+				<IdItem id="b" />
+			</List>,
+		);
+		expect(container.textContent).toBe('a:0 b:1 ');
+		expect(onListRender.mock.lastCall[0].map(d => d.id)).toEqual(['a', 'b']);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('useDescendant during server rendering', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	function List({ children }) {
+		return (
+			<DescendantProvider context={DescendantContext}>
+				<ul>{children}</ul>
+			</DescendantProvider>
+		);
+	}
+
+	function Item({ children, index: indexProp }) {
+		const [element, elementSet] = React.useState(null);
+		const descendant = React.useMemo(() => ({ element }), [element]);
+		const index = useDescendant(descendant, DescendantContext, indexProp);
+		return (
+			<li ref={elementSet} data-index={index} aria-posinset={index + 1}>
+				{children}
+			</li>
+		);
+	}
+
+	function Layout() {
+		return (
+			<List>
+				<Item>First</Item>
+				<Item>Second</Item>
+				<div>
+					<Item>Third</Item>
+				</div>
+			</List>
+		);
+	}
+
+	/**
+	 * hydrate renders `element` to a string and hydrates it. It returns the
+	 * indexes of the server markup and the ones rendered after hydration.
+	 * @param {React.ReactElement} element
+	 * @returns {{serverIndexes: Array<string>, indexes: Array<string>}}
+	 */
+	function hydrate(element) {
+		// NOTE: Rendering to a string under jsdom warns about every layout
+		// effect, as they do nothing on the server. The server markup itself is
+		// tested in `server.test.js`.
+		const serverConsoleError = jest
+			.spyOn(console, 'error')
+			.mockImplementation(() => {});
+		const container = document.createElement('div');
+		container.innerHTML = renderToString(element);
+		document.body.appendChild(container);
+		expect(serverConsoleError).toHaveBeenCalled();
+		serverConsoleError.mock.calls.forEach(([message]) => {
+			expect(message).toContain('useLayoutEffect does nothing on the server');
+		});
+		serverConsoleError.mockRestore();
+
+		const getIndexes = () =>
+			Array.from(container.querySelectorAll('li'), li => li.dataset.index);
+		const serverIndexes = getIndexes();
+
+		const consoleError = jest.spyOn(console, 'error');
+		let root;
+		act(() => {
+			root = hydrateRoot(container, element);
+		});
+		expect(consoleError).not.toHaveBeenCalled();
+		consoleError.mockRestore();
+
+		const indexes = getIndexes();
+		act(() => root.unmount());
+		container.remove();
+		return { serverIndexes, indexes };
+	}
+
+	it('should hydrate without mismatches', () => {
+		const { indexes } = hydrate(<Layout />);
+		expect(indexes).toEqual(['0', '1', '2']);
+	});
+
+	it('should hydrate explicit and implicit indexes without changing them', () => {
+		const { serverIndexes, indexes } = hydrate(
+			<List>
+				<Item index={0}>First</Item>
+				<Item>Second</Item>
+				<Item>Third</Item>
+			</List>,
+		);
+		expect(serverIndexes).toEqual(['0', '1', '2']);
+		expect(indexes).toEqual(['0', '1', '2']);
+	});
+
+	it('should reconcile render order with document order on the client', () => {
+		const portalTarget = document.createElement('div');
+		document.body.appendChild(portalTarget);
+
+		// NOTE: The portaled item renders last but its portal target comes
+		// before the list in the document.
+		const { container } = render(
+			<List>
+				<Item>Inline</Item>
+				{ReactDOM.createPortal(<Item>Portaled</Item>, portalTarget)}
+			</List>,
+		);
+
+		expect(portalTarget.querySelector('li').dataset.index).toBe('0');
+		expect(container.querySelector('li').dataset.index).toBe('1');
+		portalTarget.remove();
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('DescendantPortal', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	function List({ children }) {
+		return (
+			<DescendantProvider context={DescendantContext}>
+				<ul>{children}</ul>
+			</DescendantProvider>
+		);
+	}
+
+	function Item({ children }) {
+		const [element, elementSet] = React.useState(null);
+		const descendant = React.useMemo(() => ({ element }), [element]);
+		const index = useDescendant(descendant, DescendantContext);
+		return (
+			<li ref={elementSet} data-index={index}>
+				{children}
+			</li>
+		);
+	}
+
+	let portalTarget;
+	beforeEach(() => {
+		// NOTE: The portal target comes before the rendered list, so portaled
+		// items would come first in document order.
+		portalTarget = document.createElement('div');
+		document.body.appendChild(portalTarget);
+	});
+	afterEach(() => {
+		portalTarget.remove();
+	});
+
+	function getIndexes() {
+		return Object.fromEntries(
+			Array.from(document.querySelectorAll('li'), li => [
+				li.textContent,
+				li.dataset.index,
+			]),
+		);
+	}
+
+	it('should index portaled descendants by their position in the React tree', () => {
+		render(
+			<List>
+				<Item>A</Item>
+				<DescendantPortal>
+					{ReactDOM.createPortal(
+						<>
+							<Item>B</Item>
+							<Item>C</Item>
+						</>,
+						portalTarget,
+					)}
+				</DescendantPortal>
+				<Item>D</Item>
+			</List>,
+		);
+
+		expect(getIndexes()).toEqual({ A: '0', B: '1', C: '2', D: '3' });
+	});
+
+	it('should index descendants of third-party portals', () => {
+		render(
+			<List>
+				<Item>A</Item>
+				<DescendantPortal>
+					{ReactDOM.createPortal(<Item>B</Item>, portalTarget)}
+				</DescendantPortal>
+				<Item>C</Item>
+			</List>,
+		);
+
+		expect(getIndexes()).toEqual({ A: '0', B: '1', C: '2' });
+	});
+
+	it('should keep the order when descendants are added to a portal', async () => {
+		function Layout() {
+			const [open, openSet] = React.useState(false);
+			return (
+				<>
+					<button onClick={() => openSet(true)}>Open</button>
+					<List>
+						<Item>A</Item>
+						<DescendantPortal>
+							{ReactDOM.createPortal(
+								<>
+									<Item>B</Item>
+									{open ? <Item>C</Item> : null}
+								</>,
+								portalTarget,
+							)}
+						</DescendantPortal>
+						<Item>D</Item>
+						<DescendantPortal>
+							{ReactDOM.createPortal(<Item>E</Item>, portalTarget)}
+						</DescendantPortal>
+					</List>
+				</>
+			);
+		}
+
+		const { getByRole } = render(<Layout />);
+		expect(getIndexes()).toEqual({ A: '0', B: '1', D: '2', E: '3' });
+
+		await userEvent.click(getByRole('button'));
+		expect(getIndexes()).toEqual({
+			A: '0',
+			B: '1',
+			C: '2',
+			D: '3',
+			E: '4',
+		});
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('DescendantProvider reordering', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	const Item = React.memo(function Item({ label }) {
+		const [element, elementSet] = React.useState(null);
+		const descendant = React.useMemo(() => ({ element }), [element]);
+		const index = useDescendant(descendant, DescendantContext);
+		return (
+			<li ref={elementSet}>
+				{label}:{index}
+			</li>
+		);
+	});
+
+	function SortableList() {
+		const [items, itemsSet] = React.useState(['a', 'b', 'c', 'd']);
+		return (
+			<>
+				<button onClick={() => itemsSet(['d', 'b', 'a', 'c'])}>Shuffle</button>
+				<ul>
+					{items.map(label => (
+						<Item key={label} label={label} />
+					))}
+				</ul>
+			</>
+		);
+	}
+
+	it('should re-index descendants after a keyed reorder', async () => {
+		const registerSpy = jest.fn();
+		function Layout() {
+			return (
+				<DescendantProvider context={DescendantContext} set={registerSpy}>
+					<SortableList />
+				</DescendantProvider>
+			);
+		}
+
+		const { getByRole, container } = render(<Layout />);
+		const getLabels = () =>
+			Array.from(container.querySelectorAll('li'), li => li.textContent);
+		expect(getLabels()).toEqual(['a:0', 'b:1', 'c:2', 'd:3']);
+
+		await userEvent.click(getByRole('button'));
+		await waitFor(() =>
+			expect(getLabels()).toEqual(['d:0', 'b:1', 'a:2', 'c:3']),
+		);
+		expect(
+			registerSpy.mock.lastCall[0].map(item => item.element.textContent),
+		).toEqual(['d:0', 'b:1', 'a:2', 'c:3']);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('DescendantProvider with explicit and implicit indexes', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	function Item({ label, index: indexProp }) {
+		const [element, elementSet] = React.useState(null);
+		const descendant = React.useMemo(() => ({ element }), [element]);
+		const index = useDescendant(descendant, DescendantContext, indexProp);
+		return (
+			<li ref={elementSet}>
+				{label}:{index}
+			</li>
+		);
+	}
+
+	function renderList(children, set) {
+		const result = render(
+			<DescendantProvider context={DescendantContext} set={set}>
+				<ul>{children}</ul>
+			</DescendantProvider>,
+		);
+		const getLabels = () =>
+			Array.from(result.container.querySelectorAll('li'), li => li.textContent);
+		return { ...result, getLabels };
+	}
+
+	let warnSpy;
+	beforeEach(() => {
+		warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+	});
+	afterEach(() => {
+		warnSpy.mockRestore();
+	});
+
+	it('should fill implicit descendants around explicit ones', () => {
+		const set = jest.fn();
+		const { getLabels } = renderList(
+			<>
+				<Item label="a" />
+				<Item label="b" index={0} />
+				<Item label="c" />
+				<Item label="d" index={3} />
+				<Item label="e" />
+			</>,
+			set,
+		);
+		expect(getLabels()).toEqual(['a:1', 'b:0', 'c:2', 'd:3', 'e:4']);
+		expect(set.mock.lastCall[0].map(item => item.element.textContent)).toEqual([
+			'b:0',
+			'a:1',
+			'c:2',
+			'd:3',
+			'e:4',
+		]);
+		expect(warnSpy).not.toHaveBeenCalled();
+	});
+
+	it('should move the later of two colliding explicit indexes and warn', () => {
+		const set = jest.fn();
+		const { getLabels } = renderList(
+			<>
+				<Item label="a" index={1} />
+				<Item label="b" index={1} />
+				<Item label="c" />
+			</>,
+			set,
+		);
+		expect(getLabels()).toEqual(['a:1', 'b:2', 'c:0']);
+		expect(set.mock.lastCall[0].map(item => item.index)).toEqual([0, 1, 2]);
+		expect(warnSpy).toHaveBeenCalledTimes(1);
+	});
+
+	it('should not keep duplicate records when an explicit index changes', async () => {
+		const set = jest.fn();
+		function Swappable() {
+			const [swapped, swappedSet] = React.useState(false);
+			return (
+				<>
+					<button onClick={() => swappedSet(true)}>Swap</button>
+					<Item label="a" index={swapped ? 1 : 0} />
+					<Item label="b" index={swapped ? 0 : 1} />
+				</>
+			);
+		}
+
+		const { container, getByRole } = render(
+			<DescendantProvider context={DescendantContext} set={set}>
+				<Swappable />
+			</DescendantProvider>,
+		);
+		await userEvent.click(getByRole('button'));
+
+		const items = set.mock.lastCall[0];
+		expect(items.map(item => item.element.textContent)).toEqual(['b:0', 'a:1']);
+		expect(new Set(items.map(item => item.element)).size).toBe(2);
+		expect(
+			Array.from(container.querySelectorAll('li'), li => li.textContent),
+		).toEqual(['a:1', 'b:0']);
+		expect(warnSpy).not.toHaveBeenCalled();
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('useDescendantSelection', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+	const ListboxContext = React.createContext(null);
+	const isEnabled = descendant => !descendant.disabled;
+
+	function Listbox({ children, ...options }) {
+		return (
+			<DescendantProvider context={DescendantContext}>
+				<ListboxInner {...options}>{children}</ListboxInner>
+			</DescendantProvider>
+		);
+	}
+
+	function ListboxInner({ children, ...options }) {
+		const rovingTabIndex = useRovingTabIndex(DescendantContext, {
+			filter: isEnabled,
+		});
+		const selection = useDescendantSelection(DescendantContext, {
+			mode: 'multiple',
+			filter: isEnabled,
+			currentIndex: rovingTabIndex.activeIndex,
+			callback: rovingTabIndex.focus,
+			...options,
+		});
+		const handleKeyDown = useDescendantKeyDown(DescendantContext, {
+			currentIndex: rovingTabIndex.activeIndex,
+			callback: rovingTabIndex.focus,
+			filter: isEnabled,
+		});
+		return (
+			<ListboxContext.Provider value={selection}>
+				<ul
+					role="listbox"
+					aria-multiselectable
+					onKeyDown={event => {
+						selection.handleKeyDown(event);
+						if (!event.defaultPrevented) handleKeyDown(event);
+					}}
+				>
+					{children}
+				</ul>
+			</ListboxContext.Provider>
+		);
+	}
+
+	function Option({ value, disabled = false }) {
+		const selection = React.useContext(ListboxContext);
+		const { props } = useRovingTabIndexItem(DescendantContext, {
+			value,
+			disabled,
+		});
+		return (
+			<li
+				role="option"
+				aria-selected={selection.isSelected(value)}
+				onClick={event => selection.select(value, event)}
+				{...props}
+			>
+				{value}
+			</li>
+		);
+	}
+
+	const getSelected = getAllByRole =>
+		getAllByRole('option')
+			.filter(option => option.getAttribute('aria-selected') === 'true')
+			.map(option => option.textContent);
+
+	function Fruits(props) {
+		return (
+			<Listbox {...props}>
+				<Option value="Apple" />
+				<Option value="Banana" />
+				<Option value="Cherry" disabled />
+				<Option value="Date" />
+				<Option value="Elderberry" />
+			</Listbox>
+		);
+	}
+
+	it('should select, toggle and extend with the mouse', async () => {
+		// NOTE: Modifier keys are only kept between calls of the same setup.
+		const user = userEvent.setup();
+		const { getByText, getAllByRole } = render(<Fruits />);
+
+		await user.click(getByText('Banana'));
+		expect(getSelected(getAllByRole)).toEqual(['Banana']);
+
+		await user.keyboard('{Shift>}');
+		await user.click(getByText('Elderberry'));
+		await user.keyboard('{/Shift}');
+		expect(getSelected(getAllByRole)).toEqual(['Banana', 'Date', 'Elderberry']);
+
+		await user.keyboard('{Control>}');
+		await user.click(getByText('Date'));
+		await user.click(getByText('Cherry'));
+		await user.keyboard('{/Control}');
+		expect(getSelected(getAllByRole)).toEqual(['Banana', 'Elderberry']);
+	});
+
+	it('should extend the selection with Shift+Arrow and select all with Ctrl+A', async () => {
+		const { getByText, getAllByRole } = render(<Fruits />);
+
+		await userEvent.click(getByText('Apple'));
+		await userEvent.keyboard('{Shift>}{ArrowDown}{ArrowDown}{/Shift}');
+		expect(document.activeElement).toBe(getByText('Date'));
+		expect(getSelected(getAllByRole)).toEqual(['Apple', 'Banana', 'Date']);
+
+		await userEvent.keyboard('{Shift>}{ArrowUp}{/Shift}');
+		expect(getSelected(getAllByRole)).toEqual(['Apple', 'Banana']);
+
+		await userEvent.keyboard('{ArrowDown}{ArrowDown} ');
+		expect(document.activeElement).toBe(getByText('Elderberry'));
+		expect(getSelected(getAllByRole)).toEqual([
+			'Apple',
+			'Banana',
+			'Elderberry',
+		]);
+
+		await userEvent.keyboard('{Control>}a{/Control}');
+		expect(getSelected(getAllByRole)).toEqual([
+			'Apple',
+			'Banana',
+			'Date',
+			'Elderberry',
+		]);
+	});
+
+	it('should only keep one descendant selected in single mode', async () => {
+		const user = userEvent.setup();
+		const { getByText, getAllByRole } = render(<Fruits mode="single" />);
+
+		await user.click(getByText('Apple'));
+		await user.keyboard('{Shift>}');
+		await user.click(getByText('Date'));
+		await user.keyboard('{/Shift}{Control>}a{/Control}');
+		expect(getSelected(getAllByRole)).toEqual(['Date']);
+	});
+
+	it('should support a controlled selection that follows reorders', async () => {
+		const onSelectedChange = jest.fn();
+		function Controlled() {
+			const [selected, selectedSet] = React.useState(['Banana']);
+			const [values, valuesSet] = React.useState(['Apple', 'Banana']);
+			return (
+				<>
+					<button onClick={() => valuesSet(['Banana', 'Apple'])}>
+						Reverse
+					</button>
+					<Listbox
+						selected={selected}
+						onSelectedChange={next => {
+							onSelectedChange(next);
+							selectedSet(next);
+						}}
+					>
+						{values.map(value => (
+							<Option key={value} value={value} />
+						))}
+					</Listbox>
+				</>
+			);
+		}
+
+		const { getByText, getAllByRole } = render(<Controlled />);
+		expect(getSelected(getAllByRole)).toEqual(['Banana']);
+
+		await userEvent.click(getByText('Reverse'));
+		await waitFor(() =>
+			expect(getAllByRole('option')[0].textContent).toBe('Banana'),
+		);
+		expect(getSelected(getAllByRole)).toEqual(['Banana']);
+
+		await userEvent.click(getByText('Apple'));
+		expect(onSelectedChange).toHaveBeenLastCalledWith(['Apple']);
+		expect(getSelected(getAllByRole)).toEqual(['Apple']);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('useActiveDescendant', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	function MenuItem({ label, onRemove }) {
+		const { activeIndex, setActiveIndex } =
+			useActiveDescendant(DescendantContext);
+		const [element, elementSet] = React.useState(null);
+		const descendant = React.useMemo(() => ({ element }), [element]);
+		const index = useDescendant(descendant, DescendantContext);
+		return (
+			<li
+				ref={elementSet}
+				data-active={index === activeIndex ? '' : undefined}
+				onClick={() => setActiveIndex(index)}
+			>
+				{label}
+				<button onClick={() => onRemove(label)}>Remove {label}</button>
+			</li>
+		);
+	}
+
+	function Menu({ initialItems = ['a', 'b', 'c', 'd'], ...props }) {
+		const [items, itemsSet] = React.useState(initialItems);
+		return (
+			<DescendantProvider context={DescendantContext} {...props}>
+				<button onClick={() => itemsSet(items.slice().reverse())}>
+					Reverse
+				</button>
+				<ul>
+					{items.map(label => (
+						<MenuItem
+							key={label}
+							label={label}
+							onRemove={removed =>
+								itemsSet(items.filter(item => item !== removed))
+							}
+						/>
+					))}
+				</ul>
+			</DescendantProvider>
+		);
+	}
+
+	const getActive = container =>
+		container.querySelector('[data-active]')?.firstChild.textContent ?? null;
+
+	it('should keep the same descendant active across reorders', async () => {
+		const { container, getByText } = render(<Menu defaultActiveIndex={1} />);
+		expect(getActive(container)).toBe('b');
+
+		await userEvent.click(getByText('Reverse'));
+		await waitFor(() =>
+			expect(container.querySelector('li').firstChild.textContent).toBe('d'),
+		);
+		await waitFor(() => expect(getActive(container)).toBe('b'));
+		expect(
+			Array.from(container.querySelectorAll('li')).findIndex(li =>
+				li.hasAttribute('data-active'),
+			),
+		).toBe(2);
+	});
+
+	it('should fall back to the next descendant by default', async () => {
+		const { container, getByText } = render(<Menu defaultActiveIndex={3} />);
+
+		await userEvent.click(getByText('b'));
+		await userEvent.click(getByText('Remove b'));
+		expect(getActive(container)).toBe('c');
+
+		await userEvent.click(getByText('d'));
+		await userEvent.click(getByText('Remove d'));
+		expect(getActive(container)).toBe('c');
+	});
+
+	it('should support other fallback policies', async () => {
+		const { container, getByText, unmount } = render(
+			<Menu defaultActiveIndex={1} activeFallback="previous" />,
+		);
+		await userEvent.click(getByText('Remove b'));
+		expect(getActive(container)).toBe('a');
+		unmount();
+
+		const second = render(
+			<Menu defaultActiveIndex={1} activeFallback="none" />,
+		);
+		await userEvent.click(second.getByText('Remove b'));
+		expect(getActive(second.container)).toBeNull();
+		second.unmount();
+
+		const fallback = jest.fn((removed, descendants) => descendants[0]);
+		const third = render(
+			<Menu defaultActiveIndex={2} activeFallback={fallback} />,
+		);
+		await userEvent.click(third.getByText('Remove c'));
+		expect(getActive(third.container)).toBe('a');
+		expect(fallback).toHaveBeenCalledTimes(1);
+		expect(fallback.mock.calls[0][0].index).toBe(2);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('DescendantProvider onChange', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	function Item({ label }) {
+		const [element, elementSet] = React.useState(null);
+		const descendant = React.useMemo(
+			() => ({ element, label }),
+			[element, label],
+		);
+		useDescendant(descendant, DescendantContext);
+		return <li ref={elementSet}>{label}</li>;
+	}
+
+	function List({ onChange }) {
+		const [items, itemsSet] = React.useState(['a', 'b', 'c']);
+		return (
+			<DescendantProvider context={DescendantContext} onChange={onChange}>
+				<button onClick={() => itemsSet(['a', 'c'])}>Remove</button>
+				<button onClick={() => itemsSet(['c', 'a', 'd'])}>Shuffle</button>
+				<button onClick={() => itemsSet(['z', 'a', 'b', 'c'])}>Prepend</button>
+				<ul>
+					{items.map(label => (
+						<Item key={label} label={label} />
+					))}
+				</ul>
+			</DescendantProvider>
+		);
+	}
+
+	const summarize = entries =>
+		entries.map(
+			({ descendant, previousIndex, index }) =>
+				`${descendant.label}:${previousIndex}->${index}`,
+		);
+
+	it('should report added, removed, moved and shifted descendants once per commit', async () => {
+		const onChange = jest.fn();
+		const { getByText } = render(<List onChange={onChange} />);
+		expect(onChange).toHaveBeenCalledTimes(1);
+		expect(summarize(onChange.mock.lastCall[0].added)).toEqual([
+			'a:-1->0',
+			'b:-1->1',
+			'c:-1->2',
+		]);
+
+		await userEvent.click(getByText('Remove'));
+		expect(onChange).toHaveBeenCalledTimes(2);
+		let change = onChange.mock.lastCall[0];
+		expect(summarize(change.added)).toEqual([]);
+		expect(summarize(change.removed)).toEqual(['b:1->-1']);
+		expect(summarize(change.moved)).toEqual([]);
+		expect(summarize(change.shifted)).toEqual(['c:2->1']);
+
+		await userEvent.click(getByText('Shuffle'));
+		await waitFor(() => {
+			change = onChange.mock.lastCall[0];
+			expect(summarize(change.moved)).toEqual(['c:1->0']);
+		});
+		expect(summarize(change.shifted)).toEqual(['a:0->1']);
+		expect(summarize(change.added)).toEqual(['d:-1->2']);
+		expect(summarize(change.removed)).toEqual([]);
+	});
+
+	it('should report an insertion without moving the descendants after it', async () => {
+		const onChange = jest.fn();
+		const { getByText } = render(<List onChange={onChange} />);
+
+		await userEvent.click(getByText('Prepend'));
+		const change = onChange.mock.lastCall[0];
+		expect(summarize(change.added)).toEqual(['z:-1->0']);
+		expect(summarize(change.moved)).toEqual([]);
+		expect(summarize(change.shifted)).toEqual(['a:0->1', 'b:1->2', 'c:2->3']);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('useDescendantItemAria and useDescendantListAria', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+	const isVisible = descendant => !descendant.hidden;
+
+	function Listbox({ children }) {
+		return (
+			<DescendantProvider context={DescendantContext} defaultActiveIndex={2}>
+				<ListboxInner>{children}</ListboxInner>
+			</DescendantProvider>
+		);
+	}
+
+	function ListboxInner({ children }) {
+		const ariaProps = useDescendantListAria(DescendantContext);
+		return (
+			<ul role="listbox" tabIndex={0} {...ariaProps}>
+				{children}
+			</ul>
+		);
+	}
+
+	function Option({ label, hidden = false, id }) {
+		const [element, elementSet] = React.useState(null);
+		const descendant = React.useMemo(
+			() => ({ element, hidden }),
+			[element, hidden],
+		);
+		const index = useDescendant(descendant, DescendantContext);
+		const ariaProps = useDescendantItemAria(DescendantContext, index, {
+			filter: isVisible,
+			id,
+		});
+		return (
+			<li ref={elementSet} role="option" hidden={hidden} {...ariaProps}>
+				{label}
+			</li>
+		);
+	}
+
+	it('should report positions and set size of visible descendants', () => {
+		const { getByText } = render(
+			<Listbox>
+				<Option label="a" />
+				<Option label="b" hidden />
+				<Option label="c" id="option-c" />
+				<Option label="d" />
+			</Listbox>,
+		);
+
+		const getPosition = label => [
+			getByText(label).getAttribute('aria-posinset'),
+			getByText(label).getAttribute('aria-setsize'),
+		];
+		expect(getPosition('a')).toEqual(['1', '3']);
+		expect(getPosition('b')).toEqual([null, null]);
+		expect(getPosition('c')).toEqual(['2', '3']);
+		expect(getPosition('d')).toEqual(['3', '3']);
+	});
+
+	it('should point aria-activedescendant at the id of the active descendant', async () => {
+		function Switchable() {
+			const { setActiveIndex } = useActiveDescendant(DescendantContext);
+			return <button onClick={() => setActiveIndex(0)}>First</button>;
+		}
+
+		const { getByRole, getByText } = render(
+			<Listbox>
+				<Switchable />
+				<Option label="a" />
+				<Option label="b" />
+				<Option label="c" id="option-c" />
+			</Listbox>,
+		);
+		expect(getByRole('listbox').getAttribute('aria-activedescendant')).toBe(
+			'option-c',
+		);
+
+		await userEvent.click(getByText('First'));
+		const { id } = getByText('a');
+		expect(id).toBeTruthy();
+		expect(getByRole('listbox').getAttribute('aria-activedescendant')).toBe(id);
+		expect(document.querySelectorAll(`[id="${id}"]`)).toHaveLength(1);
+	});
+
+	it('should filter the descendants once per change', () => {
+		const filter = jest.fn(isVisible);
+		function FilteredOption({ label }) {
+			const [element, elementSet] = React.useState(null);
+			const descendant = React.useMemo(() => ({ element }), [element]);
+			const index = useDescendant(descendant, DescendantContext);
+			const ariaProps = useDescendantItemAria(DescendantContext, index, {
+				filter,
+			});
+			return (
+				<li ref={elementSet} {...ariaProps}>
+					{label}
+				</li>
+			);
+		}
+
+		const labels = ['a', 'b', 'c', 'd', 'e'];
+		const { getByText, rerender } = render(
+			<Listbox>
+				{labels.map(label => (
+					<FilteredOption key={label} label={label} />
+				))}
+			</Listbox>,
+		);
+		filter.mockClear();
+
+		rerender(
+			<Listbox>
+				{[...labels, 'f'].map(label => (
+					<FilteredOption key={label} label={label} />
+				))}
+			</Listbox>,
+		);
+		expect(filter).toHaveBeenCalledTimes(6);
+		expect(getByText('f').getAttribute('aria-posinset')).toBe('6');
+		expect(getByText('a').getAttribute('aria-setsize')).toBe('6');
+	});
+
+	it('should only re-render descendants whose position or set size changed', () => {
+		const renders = jest.fn();
+		function GroupedOption({ label }) {
+			const [element, elementSet] = React.useState(null);
+			const descendant = React.useMemo(() => ({ element }), [element]);
+			const index = useDescendant(descendant, DescendantContext);
+			const ariaProps = useDescendantItemAria(DescendantContext, index);
+			renders(label);
+			return (
+				<li ref={elementSet} {...ariaProps}>
+					{label}
+				</li>
+			);
+		}
+
+		// NOTE: The options are memoized, so they only re-render when their
+		// own subscriptions change.
+		const a = <GroupedOption label="a" />;
+		const b = <GroupedOption label="b" />;
+		const c = <GroupedOption label="c" />;
+		function Groups({ extra }) {
+			return (
+				<Listbox>
+					<DescendantGroup context={DescendantContext} id="first">
+						{a}
+						{b}
+					</DescendantGroup>
+					<DescendantGroup context={DescendantContext} id="second">
+						{c}
+						{extra && <GroupedOption label="d" />}
+					</DescendantGroup>
+				</Listbox>
+			);
+		}
+
+		const { getByText, rerender } = render(<Groups />);
+		renders.mockClear();
+		rerender(<Groups extra />);
+
+		expect(renders).not.toHaveBeenCalledWith('a');
+		expect(renders).not.toHaveBeenCalledWith('b');
+		expect(renders).toHaveBeenCalledWith('c');
+		expect(getByText('c').getAttribute('aria-setsize')).toBe('2');
+		expect(getByText('a').getAttribute('aria-setsize')).toBe('2');
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('DescendantGroup', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	function Listbox({ children }) {
+		return (
+			<DescendantProvider context={DescendantContext}>
+				<ListboxInner>{children}</ListboxInner>
+			</DescendantProvider>
+		);
+	}
+
+	function ListboxInner({ children }) {
+		const { activeIndex, setActiveIndex } =
+			useActiveDescendant(DescendantContext);
+		const handleKeyDown = useDescendantKeyDown(DescendantContext, {
+			currentIndex: activeIndex,
+			callback: setActiveIndex,
+		});
+		return (
+			<div role="listbox" tabIndex={0} onKeyDown={handleKeyDown}>
+				{children}
+			</div>
+		);
+	}
+
+	function Section({ label, children }) {
+		return (
+			<DescendantGroup context={DescendantContext} id={label}>
+				<div role="group" aria-label={label}>
+					{children}
+				</div>
+			</DescendantGroup>
+		);
+	}
+
+	function Option({ label }) {
+		const { activeIndex } = useActiveDescendant(DescendantContext);
+		const [element, elementSet] = React.useState(null);
+		const descendant = React.useMemo(() => ({ element }), [element]);
+		const index = useDescendant(descendant, DescendantContext);
+		const groupIndex = useDescendantGroupIndex(DescendantContext, element);
+		const ariaProps = useDescendantItemAria(DescendantContext, index);
+		return (
+			<div
+				ref={elementSet}
+				role="option"
+				aria-selected={index === activeIndex}
+				{...ariaProps}
+			>
+				{label}:{index}:{groupIndex}
+			</div>
+		);
+	}
+
+	function Files() {
+		return (
+			<Listbox>
+				<Section label="Recent">
+					<Option label="a" />
+					<Option label="b" />
+				</Section>
+				<Section label="All files">
+					<Option label="c" />
+					<Option label="d" />
+					<Option label="e" />
+				</Section>
+			</Listbox>
+		);
+	}
+
+	it('should record group and group index next to the global index', () => {
+		const { getAllByRole } = render(<Files />);
+		expect(getAllByRole('option').map(option => option.textContent)).toEqual([
+			'a:0:0',
+			'b:1:1',
+			'c:2:0',
+			'd:3:1',
+			'e:4:2',
+		]);
+		expect(
+			getAllByRole('option').map(option => [
+				option.getAttribute('aria-posinset'),
+				option.getAttribute('aria-setsize'),
+			]),
+		).toEqual([
+			['1', '2'],
+			['2', '2'],
+			['1', '3'],
+			['2', '3'],
+			['3', '3'],
+		]);
+	});
+
+	it('should jump between groups with Ctrl+Arrow', async () => {
+		const { getByRole, getAllByRole } = render(<Files />);
+		const getActive = () =>
+			getAllByRole('option')
+				.find(option => option.getAttribute('aria-selected') === 'true')
+				?.textContent.charAt(0);
+
+		getByRole('listbox').focus();
+		await userEvent.keyboard('{ArrowDown}{ArrowDown}');
+		expect(getActive()).toBe('b');
+
+		await userEvent.keyboard('{Control>}{ArrowDown}{/Control}');
+		expect(getActive()).toBe('c');
+
+		await userEvent.keyboard('{Control>}{ArrowDown}{/Control}');
+		expect(getActive()).toBe('a');
+
+		await userEvent.keyboard('{Control>}{ArrowUp}{/Control}');
+		expect(getActive()).toBe('c');
+
+		await userEvent.keyboard('{ArrowDown}');
+		expect(getActive()).toBe('d');
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('useDescendantReorder', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+	const PlaylistContext = React.createContext(null);
+
+	function Playlist({ onReorder }) {
+		const [songs, songsSet] = React.useState(['a', 'b', 'c', 'd']);
+		const handleReorder = (fromIndex, toIndex) => {
+			onReorder(fromIndex, toIndex);
+			const next = songs.slice();
+			next.splice(toIndex, 0, ...next.splice(fromIndex, 1));
+			songsSet(next);
+		};
+		return (
+			<DescendantProvider context={DescendantContext}>
+				<PlaylistInner onReorder={handleReorder}>
+					{songs.map(song => (
+						<Song key={song} label={song} />
+					))}
+				</PlaylistInner>
+			</DescendantProvider>
+		);
+	}
+
+	function PlaylistInner({ children, onReorder }) {
+		const rovingTabIndex = useRovingTabIndex(DescendantContext);
+		const reorder = useDescendantReorder(DescendantContext, {
+			currentIndex: rovingTabIndex.activeIndex,
+			onReorder,
+		});
+		const handleKeyDown = useDescendantKeyDown(DescendantContext, {
+			currentIndex: rovingTabIndex.activeIndex,
+			callback: rovingTabIndex.focus,
+		});
+		return (
+			<PlaylistContext.Provider value={reorder}>
+				<ul
+					onKeyDown={event => {
+						reorder.handleKeyDown(event);
+						if (!event.defaultPrevented) handleKeyDown(event);
+					}}
+				>
+					{children}
+				</ul>
+			</PlaylistContext.Provider>
+		);
+	}
+
+	function Song({ label }) {
+		const reorder = React.useContext(PlaylistContext);
+		const { index, props } = useRovingTabIndexItem(DescendantContext, {
+			key: label,
+		});
+		return (
+			<li
+				data-grabbed={index === reorder.fromIndex ? '' : undefined}
+				data-drop-target={index === reorder.toIndex ? '' : undefined}
+				{...props}
+				{...reorder.getItemProps(index)}
+			>
+				{label}
+			</li>
+		);
+	}
+
+	const getOrder = container =>
+		Array.from(container.querySelectorAll('li'), li => li.textContent).join('');
+	const getAnnouncement = () =>
+		document.querySelector('[aria-live]')?.textContent;
+
+	it('should mount an empty live region before the first announcement', () => {
+		const { unmount } = render(<Playlist onReorder={jest.fn()} />);
+		const region = document.querySelector('[aria-live]');
+		expect(region.getAttribute('aria-live')).toBe('assertive');
+		expect(region.hasAttribute('role')).toBe(false);
+		expect(region.textContent).toBe('');
+
+		unmount();
+		expect(document.querySelector('[aria-live]')).toBeNull();
+	});
+
+	it('should move the current descendant with Alt+Arrow', async () => {
+		const onReorder = jest.fn();
+		const { container, getByText } = render(<Playlist onReorder={onReorder} />);
+
+		await userEvent.click(getByText('b'));
+		await userEvent.keyboard('{Alt>}{ArrowDown}{/Alt}');
+		expect(onReorder).toHaveBeenLastCalledWith(1, 2);
+		await waitFor(() => expect(getOrder(container)).toBe('acbd'));
+		expect(document.activeElement).toBe(getByText('b'));
+		expect(getAnnouncement()).toBe('b moved to position 3 of 4.');
+
+		await userEvent.click(getByText('a'));
+		await userEvent.keyboard('{Alt>}{ArrowUp}{/Alt}');
+		expect(onReorder).toHaveBeenCalledTimes(1);
+	});
+
+	it('should pick up, move and drop with Space and the arrow keys', async () => {
+		const onReorder = jest.fn();
+		const { container, getByText } = render(<Playlist onReorder={onReorder} />);
+
+		await userEvent.click(getByText('a'));
+		await userEvent.keyboard(' ');
+		expect(getByText('a').hasAttribute('data-grabbed')).toBe(true);
+		expect(getAnnouncement()).toMatch(/^Grabbed a\. Current position 1 of 4/);
+
+		await userEvent.keyboard('{ArrowDown}{ArrowDown}');
+		expect(document.activeElement).toBe(getByText('a'));
+		expect(getByText('c').hasAttribute('data-drop-target')).toBe(true);
+		expect(onReorder).not.toHaveBeenCalled();
+
+		await userEvent.keyboard(' ');
+		expect(onReorder).toHaveBeenLastCalledWith(0, 2);
+		expect(getAnnouncement()).toBe('Dropped a at position 3 of 4.');
+		await waitFor(() => expect(getOrder(container)).toBe('bcad'));
+
+		await userEvent.keyboard(' {ArrowUp}{Escape}');
+		expect(onReorder).toHaveBeenCalledTimes(1);
+		expect(getAnnouncement()).toBe(
+			'Reordering canceled. a returned to position 3 of 4.',
+		);
+		expect(container.querySelector('[data-grabbed]')).toBeNull();
+	});
+
+	it('should drag descendants with a pointer', async () => {
+		const onReorder = jest.fn();
+		const { container, getByText } = render(<Playlist onReorder={onReorder} />);
+
+		// NOTE: jsdom does no layout, so we tell the hook what is under the
+		// pointer.
+		const elementFromPoint = jest.fn(() => getByText('c'));
+		document.elementFromPoint = elementFromPoint;
+		try {
+			const user = userEvent.setup();
+			await user.pointer([
+				{ keys: '[MouseLeft>]', target: getByText('a') },
+				{ target: getByText('c') },
+			]);
+			expect(getByText('c').hasAttribute('data-drop-target')).toBe(true);
+			await user.pointer({ keys: '[/MouseLeft]', target: getByText('c') });
+		} finally {
+			delete document.elementFromPoint;
+		}
+
+		expect(onReorder).toHaveBeenLastCalledWith(0, 2);
+		await waitFor(() => expect(getOrder(container)).toBe('bcad'));
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('useDescendantKeyDown with onReachEnd and onReachStart', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	function Feed({ onReachEnd, onReachStart, children }) {
+		return (
+			<DescendantProvider context={DescendantContext}>
+				<FeedInner onReachEnd={onReachEnd} onReachStart={onReachStart}>
+					{children}
+				</FeedInner>
+			</DescendantProvider>
+		);
+	}
+
+	function FeedInner({ children, ...options }) {
+		const rovingTabIndex = useRovingTabIndex(DescendantContext);
+		const handleKeyDown = useDescendantKeyDown(DescendantContext, {
+			currentIndex: rovingTabIndex.activeIndex,
+			callback: rovingTabIndex.focus,
+			...options,
+		});
+		return <ul onKeyDown={handleKeyDown}>{children}</ul>;
+	}
+
+	function Post({ label }) {
+		const { props } = useRovingTabIndexItem(DescendantContext);
+		return <li {...props}>{label}</li>;
+	}
+
+	function InfiniteFeed({ onLoad = jest.fn() }) {
+		const [posts, postsSet] = React.useState([3, 4]);
+		const load = (step, edge) => {
+			onLoad(step);
+			setTimeout(() => {
+				postsSet(current =>
+					step === 1
+						? [...current, edge + 1, edge + 2]
+						: [edge - 2, edge - 1, ...current],
+				);
+			});
+		};
+		return (
+			<Feed
+				onReachEnd={() => load(1, posts[posts.length - 1])}
+				onReachStart={() => load(-1, posts[0])}
+			>
+				{posts.map(post => (
+					<Post key={post} label={`Post ${post}`} />
+				))}
+			</Feed>
+		);
+	}
+
+	it('should load more and continue past the last descendant', async () => {
+		const onLoad = jest.fn();
+		const { getByText } = render(<InfiniteFeed onLoad={onLoad} />);
+
+		await userEvent.click(getByText('Post 3'));
+		await userEvent.keyboard('{ArrowDown}{ArrowDown}');
+		expect(onLoad).toHaveBeenCalledWith(1);
+		await waitFor(() =>
+			expect(document.activeElement).toBe(getByText('Post 5')),
+		);
+
+		await userEvent.keyboard('{PageDown}');
+		expect(onLoad).toHaveBeenCalledTimes(2);
+		// NOTE: PageDown loads more instead of jumping to "Post 6".
+		await waitFor(() =>
+			expect(document.activeElement).toBe(getByText('Post 7')),
+		);
+	});
+
+	it('should load more and continue before the first descendant', async () => {
+		const onLoad = jest.fn();
+		const { getByText } = render(<InfiniteFeed onLoad={onLoad} />);
+
+		await userEvent.click(getByText('Post 3'));
+		await userEvent.keyboard('{Home}');
+		expect(onLoad).toHaveBeenLastCalledWith(-1);
+		await waitFor(() =>
+			expect(document.activeElement).toBe(getByText('Post 2')),
+		);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('useDescendantKeyDown with pageSize', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	function List({ pageSize }) {
+		return (
+			<DescendantProvider context={DescendantContext}>
+				<ListInner pageSize={pageSize}>
+					{Array.from({ length: 20 }, (_, i) => (
+						<Item key={i} label={`Item ${i}`} />
+					))}
+				</ListInner>
+			</DescendantProvider>
+		);
+	}
+
+	function ListInner({ children, pageSize }) {
+		const rovingTabIndex = useRovingTabIndex(DescendantContext);
+		const handleKeyDown = useDescendantKeyDown(DescendantContext, {
+			currentIndex: rovingTabIndex.activeIndex,
+			callback: rovingTabIndex.focus,
+			pageSize,
+		});
+		return (
+			<ul
+				data-testid="list"
+				style={{ overflow: 'auto', height: 100 }}
+				onKeyDown={handleKeyDown}
+			>
+				{children}
+			</ul>
+		);
+	}
+
+	function Item({ label }) {
+		const { index, props } = useRovingTabIndexItem(DescendantContext);
+		return (
+			<li data-index={index} {...props}>
+				{label}
+			</li>
+		);
+	}
+
+	let scrollIntoView;
+	let getBoundingClientRect;
+	beforeEach(() => {
+		scrollIntoView = jest.fn();
+		Element.prototype.scrollIntoView = scrollIntoView;
+		// NOTE: jsdom does no layout. Items are 20px high and the list shows
+		// five of them.
+		getBoundingClientRect = jest
+			.spyOn(Element.prototype, 'getBoundingClientRect')
+			.mockImplementation(function getRect() {
+				if (this.tagName === 'UL') {
+					return { top: 0, bottom: 100, left: 0, right: 200 };
+				}
+				const top = Number(this.getAttribute('data-index')) * 20;
+				return { top, bottom: top + 20, left: 0, right: 200 };
+			});
+	});
+	afterEach(() => {
+		delete Element.prototype.scrollIntoView;
+		getBoundingClientRect.mockRestore();
+	});
+
+	it('should move by a fixed number of descendants', async () => {
+		const { getByText } = render(<List pageSize={5} />);
+
+		await userEvent.click(getByText('Item 0'));
+		await userEvent.keyboard('{PageDown}');
+		expect(document.activeElement).toBe(getByText('Item 5'));
+		expect(scrollIntoView).toHaveBeenCalledTimes(1);
+		expect(scrollIntoView.mock.contexts[0]).toBe(getByText('Item 5'));
+
+		await userEvent.keyboard('{PageDown}{PageDown}{PageDown}');
+		expect(document.activeElement).toBe(getByText('Item 19'));
+
+		await userEvent.keyboard('{PageUp}');
+		expect(document.activeElement).toBe(getByText('Item 14'));
+	});
+
+	it('should move by the number of visible descendants', async () => {
+		const { getByText } = render(<List pageSize="auto" />);
+
+		await userEvent.click(getByText('Item 0'));
+		await userEvent.keyboard('{PageDown}');
+		expect(document.activeElement).toBe(getByText('Item 4'));
+
+		await userEvent.keyboard('{PageUp}');
+		expect(document.activeElement).toBe(getByText('Item 0'));
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('useDescendantKeyDown with a keyMap', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	function List({ keyMap, children }) {
+		return (
+			<DescendantProvider context={DescendantContext}>
+				<ListInner keyMap={keyMap}>{children}</ListInner>
+			</DescendantProvider>
+		);
+	}
+
+	function ListInner({ children, keyMap }) {
+		const rovingTabIndex = useRovingTabIndex(DescendantContext);
+		const handleKeyDown = useDescendantKeyDown(DescendantContext, {
+			currentIndex: rovingTabIndex.activeIndex,
+			callback: rovingTabIndex.focus,
+			keyMap,
+		});
+		return <div onKeyDown={handleKeyDown}>{children}</div>;
+	}
+
+	function Item({ label }) {
+		const { props } = useRovingTabIndexItem(DescendantContext);
+		return <button {...props}>{label}</button>;
+	}
+
+	function renderList(keyMap) {
+		return render(
+			<List keyMap={keyMap}>
+				<Item label="a" />
+				<Item label="b" />
+				<Item label="c" />
+			</List>,
+		);
+	}
+
+	it('should support additional and disabled key bindings', async () => {
+		const { getByText } = renderList({
+			...getDescendantKeyMap('vertical'),
+			j: 'next',
+			k: 'previous',
+			End: null,
+		});
+
+		await userEvent.click(getByText('a'));
+		await userEvent.keyboard('jj');
+		expect(document.activeElement).toBe(getByText('c'));
+		await userEvent.keyboard('k');
+		expect(document.activeElement).toBe(getByText('b'));
+		await userEvent.keyboard('{End}');
+		expect(document.activeElement).toBe(getByText('b'));
+		await userEvent.keyboard('{ArrowDown}');
+		expect(document.activeElement).toBe(getByText('c'));
+	});
+
+	it('should match modifiers and run custom actions', async () => {
+		const skip = jest.fn(navigation =>
+			navigation.getPageOption(1, navigation.descendants.length),
+		);
+		const { getByText } = renderList({
+			Tab: 'next',
+			'shift+Tab': 'previous',
+			'Ctrl+Space': skip,
+		});
+
+		await userEvent.click(getByText('a'));
+		await userEvent.tab();
+		expect(document.activeElement).toBe(getByText('b'));
+		await userEvent.tab({ shift: true });
+		expect(document.activeElement).toBe(getByText('a'));
+
+		await userEvent.keyboard(' ');
+		expect(skip).not.toHaveBeenCalled();
+		await userEvent.keyboard('{Control>} {/Control}');
+		expect(skip).toHaveBeenCalledTimes(1);
+		expect(document.activeElement).toBe(getByText('c'));
+	});
+
+	it('should expose the navigation primitives', () => {
+		const descendants = [0, 1, 2, 3].map(index => ({
+			element: null,
+			index,
+			disabled: index === 2,
+		}));
+		const navigation = createDescendantNavigation(descendants, {
+			currentIndex: 1,
+			filter: descendant => !descendant.disabled,
+			rotate: false,
+		});
+
+		expect(navigation.current.index).toBe(1);
+		expect(navigation.getNextOption().index).toBe(3);
+		expect(navigation.getPreviousOption().index).toBe(0);
+		expect(navigation.getFirstOption().index).toBe(0);
+		expect(navigation.getLastOption().index).toBe(3);
+		expect(navigation.getPageOption(-1, 5).index).toBe(0);
+
+		const atEnd = createDescendantNavigation(descendants, {
+			currentIndex: 3,
+			rotate: false,
+		});
+		expect(atEnd.getNextOption().index).toBe(3);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('useDescendantKeyDown with spatial orientation', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	// NOTE: A masonry layout with columns of different heights.
+	const rects = {
+		A: [0, 0, 100, 50],
+		B: [110, 0, 100, 120],
+		C: [220, 0, 100, 60],
+		D: [0, 60, 100, 100],
+		E: [220, 70, 100, 40],
+		F: [110, 130, 100, 50],
+	};
+
+	function Board({ spatialScore }) {
+		return (
+			<DescendantProvider context={DescendantContext}>
+				<BoardInner spatialScore={spatialScore}>
+					{Object.keys(rects).map(label => (
+						<Tile key={label} label={label} />
+					))}
+				</BoardInner>
+			</DescendantProvider>
+		);
+	}
+
+	function BoardInner({ children, spatialScore }) {
+		const rovingTabIndex = useRovingTabIndex(DescendantContext);
+		const handleKeyDown = useDescendantKeyDown(DescendantContext, {
+			currentIndex: rovingTabIndex.activeIndex,
+			callback: rovingTabIndex.focus,
+			orientation: 'spatial',
+			spatialScore,
+		});
+		return <div onKeyDown={handleKeyDown}>{children}</div>;
+	}
+
+	function Tile({ label }) {
+		const { props } = useRovingTabIndexItem(DescendantContext);
+		return <button {...props}>{label}</button>;
+	}
+
+	let getBoundingClientRect;
+	beforeEach(() => {
+		getBoundingClientRect = jest
+			.spyOn(Element.prototype, 'getBoundingClientRect')
+			.mockImplementation(function getRect() {
+				const [left, top, width, height] = rects[this.textContent] ?? [
+					0, 0, 0, 0,
+				];
+				return {
+					left,
+					top,
+					width,
+					height,
+					right: left + width,
+					bottom: top + height,
+				};
+			});
+	});
+	afterEach(() => {
+		getBoundingClientRect.mockRestore();
+	});
+
+	it('should move to the nearest descendant in the direction of the arrow', async () => {
+		const { getByText } = render(<Board />);
+		const expectFocus = label =>
+			expect(document.activeElement).toBe(getByText(label));
+
+		await userEvent.click(getByText('A'));
+		await userEvent.keyboard('{ArrowRight}');
+		expectFocus('B');
+		await userEvent.keyboard('{ArrowRight}');
+		expectFocus('C');
+		await userEvent.keyboard('{ArrowDown}');
+		expectFocus('E');
+		await userEvent.keyboard('{ArrowLeft}');
+		expectFocus('B');
+		await userEvent.keyboard('{ArrowDown}');
+		expectFocus('F');
+		await userEvent.keyboard('{ArrowLeft}');
+		expectFocus('D');
+		await userEvent.keyboard('{ArrowUp}');
+		expectFocus('A');
+	});
+
+	it('should fall back to linear order without a descendant in that direction', async () => {
+		const { getByText } = render(<Board />);
+
+		await userEvent.click(getByText('C'));
+		await userEvent.keyboard('{ArrowRight}');
+		expect(document.activeElement).toBe(getByText('D'));
+		await userEvent.keyboard('{ArrowLeft}');
+		expect(document.activeElement).toBe(getByText('C'));
+
+		await userEvent.click(getByText('A'));
+		await userEvent.keyboard('{ArrowUp}');
+		expect(document.activeElement).toBe(getByText('F'));
+	});
+
+	it('should use a custom score', async () => {
+		// NOTE: Only consider descendants that overlap vertically.
+		const spatialScore = jest.fn((from, to, direction) =>
+			direction === 'right' && to.left >= from.right && to.top < from.bottom
+				? to.left - from.right
+				: null,
+		);
+		const { getByText } = render(<Board spatialScore={spatialScore} />);
+
+		await userEvent.click(getByText('D'));
+		await userEvent.keyboard('{ArrowRight}');
+		expect(spatialScore).toHaveBeenCalled();
+		expect(document.activeElement).toBe(getByText('B'));
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('useDescendant without elements', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	function Item({ label }) {
+		const descendant = React.useMemo(() => ({ id: label, label }), [label]);
+		const index = useDescendant(descendant, DescendantContext);
+		return `${label}=${index} `;
+	}
+
+	function List({ compare }) {
+		const [items, itemsSet] = React.useState(['a', 'b', 'c']);
+		return (
+			<>
+				<button onClick={() => itemsSet(['a', 'x', 'b', 'c'])}>Insert</button>
+				<button onClick={() => itemsSet(['c', 'a'])}>Shuffle</button>
+				<div data-testid="list">
+					<DescendantProvider context={DescendantContext} compare={compare}>
+						{items.map(label => (
+							<Item key={label} label={label} />
+						))}
+					</DescendantProvider>
+				</div>
+			</>
+		);
+	}
+
+	it('should index descendants by render order', async () => {
+		const { getByText, getByTestId } = render(<List />);
+		expect(getByTestId('list').textContent).toBe('a=0 b=1 c=2 ');
+
+		await userEvent.click(getByText('Insert'));
+		expect(getByTestId('list').textContent).toBe('a=0 x=1 b=2 c=3 ');
+
+		await userEvent.click(getByText('Shuffle'));
+		expect(getByTestId('list').textContent).toBe('c=0 a=1 ');
+	});
+
+	it('should index descendants by render order below the provider', async () => {
+		// NOTE: Only the list re-renders, not the provider above it.
+		function Items() {
+			const [items, itemsSet] = React.useState(['a', 'c']);
+			return (
+				<>
+					<button onClick={() => itemsSet(['a', 'b', 'c'])}>Insert</button>
+					<button onClick={() => itemsSet(['c', 'a', 'b'])}>Shuffle</button>
+					<div data-testid="list">
+						{items.map(label => (
+							<Item key={label} label={label} />
+						))}
+					</div>
+				</>
+			);
+		}
+
+		const { getByText, getByTestId } = render(
+			<DescendantProvider context={DescendantContext}>
+				<Items />
+			</DescendantProvider>,
+		);
+		expect(getByTestId('list').textContent).toBe('a=0 c=1 ');
+
+		await userEvent.click(getByText('Insert'));
+		expect(getByTestId('list').textContent).toBe('a=0 b=1 c=2 ');
+
+		await userEvent.click(getByText('Shuffle'));
+		expect(getByTestId('list').textContent).toBe('c=0 a=1 b=2 ');
+	});
+
+	it('should order descendants with a custom compare function', async () => {
+		const compare = (a, b) => b.label.localeCompare(a.label);
+		const { getByText, getByTestId } = render(<List compare={compare} />);
+		expect(getByTestId('list').textContent).toBe('a=2 b=1 c=0 ');
+
+		await userEvent.click(getByText('Insert'));
+		expect(getByTestId('list').textContent).toBe('a=3 x=0 b=2 c=1 ');
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('useDescendantIndex', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	function Item({ label }) {
+		const descendant = React.useMemo(() => ({ id: label }), [label]);
+		useDescendant(descendant, DescendantContext);
+		return null;
+	}
+
+	function Watcher({ id, onRender }) {
+		const index = useDescendantIndex(DescendantContext, id);
+		onRender(index);
+		return null;
+	}
+
+	function List({ items, onRender }) {
+		const watcher = React.useMemo(
+			() => <Watcher id="c" onRender={onRender} />,
+			[onRender],
+		);
+		return (
+			<DescendantProvider context={DescendantContext}>
+				{items.map(label => (
+					<Item key={label} label={label} />
+				))}
+				{watcher}
+			</DescendantProvider>
+		);
+	}
+
+	it('should only re-render when the watched index changes', () => {
+		const onRender = jest.fn();
+		const { rerender } = render(
+			<List items={['a', 'b', 'c']} onRender={onRender} />,
+		);
+		expect(onRender).toHaveBeenLastCalledWith(2);
+
+		onRender.mockClear();
+		rerender(<List items={['a', 'b', 'c', 'd']} onRender={onRender} />);
+		expect(onRender).not.toHaveBeenCalled();
+
+		rerender(<List items={['x', 'a', 'b', 'c', 'd']} onRender={onRender} />);
+		expect(onRender).toHaveBeenCalledTimes(1);
+		expect(onRender).toHaveBeenLastCalledWith(3);
+
+		rerender(<List items={['x', 'a', 'b', 'd']} onRender={onRender} />);
+		expect(onRender).toHaveBeenLastCalledWith(-1);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('useDescendantView', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+	const ViewContext = React.createContext(null);
+
+	function Combobox({ children }) {
+		return (
+			<DescendantProvider context={DescendantContext}>
+				<ComboboxInner>{children}</ComboboxInner>
+			</DescendantProvider>
+		);
+	}
+
+	function ComboboxInner({ children }) {
+		const [query, querySet] = React.useState('');
+		const view = useDescendantView(DescendantContext, { query });
+		const { activeIndex, setActiveIndex } =
+			useActiveDescendant(DescendantContext);
+		const handleKeyDown = useDescendantKeyDown(DescendantContext, {
+			currentIndex: activeIndex,
+			callback: setActiveIndex,
+			filter: view.filter,
+		});
+		return (
+			<ViewContext.Provider value={view}>
+				<input
+					aria-label="Fruit"
+					value={query}
+					onChange={event => querySet(event.target.value)}
+					onKeyDown={handleKeyDown}
+					{...useDescendantListAria(DescendantContext)}
+				/>
+				<ul role="listbox">{children}</ul>
+			</ViewContext.Provider>
+		);
+	}
+
+	function Option({ label }) {
+		const view = React.useContext(ViewContext);
+		const [element, elementSet] = React.useState(null);
+		const descendant = React.useMemo(
+			() => ({ element, key: label }),
+			[element, label],
+		);
+		const index = useDescendant(descendant, DescendantContext);
+		const ariaProps = useDescendantItemAria(DescendantContext, index, {
+			filter: view.filter,
+		});
+
+		let last = 0;
+		const parts = [];
+		for (const [start, end] of view.getMatches(index)) {
+			parts.push(
+				label.slice(last, start),
+				<mark key={start}>{label.slice(start, end)}</mark>,
+			);
+			last = end;
+		}
+		parts.push(label.slice(last));
+
+		return (
+			<li
+				role="option"
+				ref={elementSet}
+				hidden={view.getViewIndex(index) === -1}
+				{...ariaProps}
+			>
+				{parts}
+			</li>
+		);
+	}
+
+	function renderCombobox() {
+		return render(
+			<Combobox>
+				<Option label="Apple" />
+				<Option label="Banana" />
+				<Option label="Pineapple" />
+				<Option label="Grape" />
+			</Combobox>,
+		);
+	}
+
+	it('should hide, highlight and count matching descendants', async () => {
+		const { getByLabelText, getAllByRole, container } = renderCombobox();
+		expect(getAllByRole('option')).toHaveLength(4);
+
+		await userEvent.type(getByLabelText('Fruit'), 'ap');
+		const options = getAllByRole('option');
+		expect(options.map(option => option.textContent)).toEqual([
+			'Apple',
+			'Pineapple',
+			'Grape',
+		]);
+		expect(
+			Array.from(container.querySelectorAll('mark'), mark => mark.textContent),
+		).toEqual(['Ap', 'ap', 'ap']);
+		expect(options.map(option => option.getAttribute('aria-posinset'))).toEqual(
+			['1', '2', '3'],
+		);
+		expect(options[0].getAttribute('aria-setsize')).toBe('3');
+	});
+
+	it('should only navigate over matching descendants', async () => {
+		const { getByLabelText, getAllByRole } = renderCombobox();
+		const input = getByLabelText('Fruit');
+
+		await userEvent.type(input, 'ap');
+		const [apple, , grape] = getAllByRole('option');
+		await userEvent.keyboard('{ArrowDown}');
+		expect(input.getAttribute('aria-activedescendant')).toBe(apple.id);
+
+		await userEvent.keyboard('{ArrowDown}{ArrowDown}');
+		expect(input.getAttribute('aria-activedescendant')).toBe(grape.id);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('DescendantProvider links', () => {
+	function createList(name) {
+		const DescendantContext = createDescendantContext(name);
+		const ListContext = React.createContext(null);
+
+		function List({ children, keyMap, registry, links, rotate, onKeyDown }) {
+			return (
+				<DescendantProvider
+					context={DescendantContext}
+					registry={registry}
+					links={links}
+				>
+					<ListInner keyMap={keyMap} rotate={rotate} onKeyDown={onKeyDown}>
+						{children}
+					</ListInner>
+				</DescendantProvider>
+			);
+		}
+
+		function ListInner({ children, keyMap, rotate = true, onKeyDown }) {
+			const rovingTabIndex = useRovingTabIndex(DescendantContext);
+			const handleKeyDown = useDescendantKeyDown(DescendantContext, {
+				currentIndex: rovingTabIndex.activeIndex,
+				callback: rovingTabIndex.focus,
+				keyMap,
+				rotate,
+			});
+			return (
+				<ListContext.Provider value={rovingTabIndex}>
+					<div
+						onKeyDown={event => {
+							handleKeyDown(event);
+							if (onKeyDown) onKeyDown(event);
+						}}
+					>
+						{children}
+					</div>
+				</ListContext.Provider>
+			);
+		}
+
+		function Item({ label, children }) {
+			const rovingTabIndex = React.useContext(ListContext);
+			const { index, props } = useRovingTabIndexItem(DescendantContext);
+			return (
+				<div>
+					<button {...props}>{label}</button>
+					{children && rovingTabIndex.activeIndex === index && children}
+				</div>
+			);
+		}
+
+		return { DescendantContext, List, Item };
+	}
+
+	it('should move between sibling collections at their edges', async () => {
+		const Left = createList('Left');
+		const Right = createList('Right');
+
+		function SplitView() {
+			const [left] = React.useState(() => new DescendantRegistry());
+			const [right] = React.useState(() => new DescendantRegistry());
+			return (
+				<>
+					<Left.List registry={left} links={{ next: right }} rotate={false}>
+						<Left.Item label="a" />
+						<Left.Item label="b" />
+					</Left.List>
+					<Right.List registry={right} rotate={false}>
+						<Right.Item label="c" />
+						<Right.Item label="d" />
+					</Right.List>
+				</>
+			);
+		}
+
+		const { getByText } = render(<SplitView />);
+		await userEvent.click(getByText('b'));
+		await userEvent.keyboard('{ArrowDown}');
+		expect(document.activeElement).toBe(getByText('c'));
+
+		await userEvent.keyboard('{ArrowDown}{ArrowDown}');
+		expect(document.activeElement).toBe(getByText('d'));
+
+		await userEvent.keyboard('{ArrowUp}{ArrowUp}');
+		expect(document.activeElement).toBe(getByText('b'));
+	});
+
+	it('should not enter an empty linked collection', async () => {
+		const Left = createList('Left');
+		const Right = createList('Right');
+		const left = new DescendantRegistry();
+		const right = new DescendantRegistry();
+
+		function SplitView({ items }) {
+			return (
+				<>
+					<Left.List registry={left} links={{ next: right }} rotate={false}>
+						<Left.Item label="a" />
+						<Left.Item label="b" />
+					</Left.List>
+					<Right.List registry={right} rotate={false}>
+						{items.map(label => (
+							<Right.Item key={label} label={label} />
+						))}
+					</Right.List>
+				</>
+			);
+		}
+
+		const { getByText, rerender } = render(<SplitView items={[]} />);
+		expect(right.enter('first')).toBe(false);
+
+		await userEvent.click(getByText('b'));
+		await userEvent.keyboard('{ArrowDown}');
+		expect(document.activeElement).toBe(getByText('b'));
+
+		rerender(<SplitView items={['c']} />);
+		await waitFor(() => expect(right.getSnapshot()).toHaveLength(1));
+		await userEvent.click(getByText('b'));
+		await userEvent.keyboard('{ArrowDown}');
+		expect(document.activeElement).toBe(getByText('c'));
+	});
+
+	it('should pass control between a menubar and its submenus', async () => {
+		const Menubar = createList('Menubar');
+		const Menu = createList('Menu');
+
+		function Submenu({ items }) {
+			const parent = useDescendantRegistry(Menubar.DescendantContext);
+			return (
+				<Menu.List
+					links={{ parent }}
+					keyMap={{
+						...getDescendantKeyMap('vertical'),
+						ArrowLeft: 'parentPrevious',
+						ArrowRight: 'parentNext',
+						Escape: 'parent',
+					}}
+					// NOTE: Keep the menubar from handling keys of its submenus.
+					onKeyDown={event => event.stopPropagation()}
+				>
+					{items.map(label => (
+						<Menu.Item key={label} label={label} />
+					))}
+				</Menu.List>
+			);
+		}
+
+		const { getByText, queryByText } = render(
+			<Menubar.List
+				keyMap={{ ...getDescendantKeyMap('horizontal'), ArrowDown: 'child' }}
+			>
+				<Menubar.Item label="File">
+					<Submenu items={['New', 'Open']} />
+				</Menubar.Item>
+				<Menubar.Item label="Edit">
+					<Submenu items={['Undo', 'Redo']} />
+				</Menubar.Item>
+			</Menubar.List>,
+		);
+
+		await userEvent.click(getByText('File'));
+		await userEvent.keyboard('{ArrowDown}');
+		expect(document.activeElement).toBe(getByText('New'));
+
+		await userEvent.keyboard('{ArrowDown}{ArrowRight}');
+		expect(document.activeElement).toBe(getByText('Edit'));
+		expect(queryByText('New')).toBeNull();
+
+		await userEvent.keyboard('{ArrowDown}');
+		expect(document.activeElement).toBe(getByText('Undo'));
+
+		await userEvent.keyboard('{Escape}');
+		expect(document.activeElement).toBe(getByText('Edit'));
+
+		await userEvent.keyboard('{ArrowDown}{ArrowLeft}');
+		expect(document.activeElement).toBe(getByText('File'));
+	});
+});
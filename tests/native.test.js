@@ -0,0 +1,71 @@
+/**
+ * @jest-environment node
+ */
+
+import * as React from 'react';
+import { act, create } from 'react-test-renderer';
+
+import {
+	createDescendantContext,
+	DescendantProvider,
+	useDescendant,
+} from '../src/index';
+
+// NOTE: react-test-renderer renders without a DOM, like React Native does.
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('useDescendant without a DOM', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	function Item({ id }) {
+		const descendant = React.useMemo(() => ({ id }), [id]);
+		const index = useDescendant(descendant, DescendantContext);
+		return <item id={id} index={index} />;
+	}
+
+	function List({ items }) {
+		return (
+			<DescendantProvider context={DescendantContext}>
+				{items.map(id => (
+					<Item key={id} id={id} />
+				))}
+			</DescendantProvider>
+		);
+	}
+
+	function getIndexes(renderer) {
+		return Object.fromEntries(
+			renderer.root
+				.findAllByType('item')
+				.map(item => [item.props.id, item.props.index]),
+		);
+	}
+
+	it('should index descendants by render order', () => {
+		let renderer;
+		act(() => {
+			renderer = create(<List items={['a', 'b', 'c']} />);
+		});
+
+		expect(getIndexes(renderer)).toEqual({ a: 0, b: 1, c: 2 });
+	});
+
+	it('should follow the render order when descendants are added or reordered', () => {
+		let renderer;
+		act(() => {
+			renderer = create(<List items={['a', 'b']} />);
+		});
+
+		act(() => {
+			renderer.update(<List items={['c', 'a', 'b']} />);
+		});
+		expect(getIndexes(renderer)).toEqual({ c: 0, a: 1, b: 2 });
+
+		act(() => {
+			renderer.update(<List items={['b', 'c', 'a']} />);
+		});
+		expect(getIndexes(renderer)).toEqual({ b: 0, c: 1, a: 2 });
+	});
+});
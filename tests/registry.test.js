@@ -0,0 +1,610 @@
+import {
+	DescendantRegistry,
+	createDescendantTreeNavigation,
+	createDescendantView,
+	getDescendantKeyMap,
+	getGridOption,
+	getKeyMapAction,
+	getTypeaheadOption,
+	getVirtualDescendants,
+	normalizeKeyCombination,
+} from '../src/registry';
+
+/**
+ * createList appends a list with one item per label to the document.
+ * @param {Array<string>} labels
+ * @returns {{list: HTMLElement, items: Array<HTMLElement>}}
+ */
+function createList(labels) {
+	const list = document.createElement('ul');
+	const items = labels.map(label => {
+		const item = document.createElement('li');
+		item.textContent = label;
+		list.append(item);
+		return item;
+	});
+	document.body.append(list);
+	return { list, items };
+}
+
+afterEach(() => {
+	document.body.innerHTML = '';
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('DescendantRegistry', () => {
+	it(`should index descendants in document order`, () => {
+		const { items } = createList(['a', 'b', 'c']);
+		const registry = new DescendantRegistry({ scheduleFlush: () => {} });
+
+		registry.register({ element: items[2] });
+		registry.register({ element: items[0] });
+		registry.register({ element: items[1] });
+		expect(registry.getSnapshot()).toEqual([]);
+
+		registry.flush();
+		expect(registry.getSnapshot().map(d => d.element)).toEqual(items);
+		expect(registry.getIndex(items[2])).toBe(2);
+	});
+
+	it(`should schedule a single flush per batch`, () => {
+		const { items } = createList(['a', 'b']);
+		const scheduleFlush = jest.fn();
+		const registry = new DescendantRegistry({ scheduleFlush });
+
+		registry.register({ element: items[0] });
+		registry.register({ element: items[1] });
+		expect(scheduleFlush).toHaveBeenCalledTimes(1);
+
+		registry.flush();
+		registry.unregister(items[0]);
+		expect(scheduleFlush).toHaveBeenCalledTimes(2);
+	});
+
+	it(`should flush in a microtask by default`, async () => {
+		const { items } = createList(['a']);
+		const registry = new DescendantRegistry();
+
+		registry.register({ element: items[0] });
+		await Promise.resolve();
+		expect(registry.getIndex(items[0])).toBe(0);
+	});
+
+	it(`should respect explicit indexes`, () => {
+		const { items } = createList(['a', 'b', 'c']);
+		const registry = new DescendantRegistry({ scheduleFlush: () => {} });
+
+		registry.register({ element: items[0], index: 2 });
+		registry.register({ element: items[1] });
+		registry.register({ element: items[2] });
+		registry.flush();
+
+		expect(items.map(registry.getIndex)).toEqual([2, 0, 1]);
+		expect(registry.getExplicitIndex(items[0])).toBe(2);
+	});
+
+	it(`should keep explicit render indexes free of implicit ones`, () => {
+		const registry = new DescendantRegistry({ scheduleFlush: () => {} });
+		expect(registry.getRenderIndex('a', 0)).toBe(0);
+		expect(registry.getRenderIndex('b')).toBe(1);
+		expect(registry.getRenderIndex('c', 3)).toBe(3);
+		expect(registry.getRenderIndex('d', 3)).toBe(4);
+		expect(registry.getRenderIndex('e')).toBe(2);
+		expect(registry.getRenderIndex('f')).toBe(5);
+		expect(registry.getRenderIndex('b')).toBe(1);
+
+		// NOTE: After the first flush, new descendants wait for their
+		// registration unless they ask for an index.
+		registry.flush();
+		expect(registry.getRenderIndex('g')).toBe(-1);
+		expect(registry.getRenderIndex('h', 7)).toBe(7);
+	});
+
+	it(`should notify subscribers and report changes`, () => {
+		const { items } = createList(['a', 'b']);
+		const registry = new DescendantRegistry({ scheduleFlush: () => {} });
+		const listener = jest.fn();
+		const changeListener = jest.fn();
+		registry.subscribe(listener);
+		const unsubscribe = registry.subscribeChanges(changeListener);
+
+		registry.register({ element: items[0] });
+		registry.register({ element: items[1] });
+		registry.flush();
+		expect(listener).toHaveBeenCalledTimes(1);
+		expect(changeListener.mock.calls[0][0].added).toHaveLength(2);
+
+		registry.unregister(items[0]);
+		registry.flush();
+		const change = changeListener.mock.calls[1][0];
+		expect(change.removed.map(entry => entry.descendant.element)).toEqual([
+			items[0],
+		]);
+		expect(change.moved).toEqual([]);
+		expect(change.shifted).toEqual([
+			expect.objectContaining({ previousIndex: 1, index: 0 }),
+		]);
+
+		unsubscribe();
+		registry.register({ element: items[0] });
+		registry.flush();
+		expect(changeListener).toHaveBeenCalledTimes(2);
+		expect(listener).toHaveBeenCalledTimes(3);
+	});
+
+	it(`should report an insertion without moving the descendants after it`, () => {
+		const { items } = createList(['a', 'b', 'c', 'd']);
+		const registry = new DescendantRegistry({ scheduleFlush: () => {} });
+		items.slice(1).forEach(element => registry.register({ element }));
+		registry.flush();
+		const changeListener = jest.fn();
+		registry.subscribeChanges(changeListener);
+
+		registry.register({ element: items[0] });
+		registry.flush();
+		const change = changeListener.mock.lastCall[0];
+		const summarize = entries =>
+			entries.map(
+				({ descendant, previousIndex, index }) =>
+					`${descendant.element.textContent}:${previousIndex}->${index}`,
+			);
+		expect(summarize(change.added)).toEqual(['a:-1->0']);
+		expect(change.moved).toEqual([]);
+		expect(summarize(change.shifted)).toEqual(['b:0->1', 'c:1->2', 'd:2->3']);
+	});
+
+	it(`should only report the descendants that changed their relative order`, () => {
+		const { list, items } = createList(['a', 'b', 'c', 'd']);
+		const registry = new DescendantRegistry({ scheduleFlush: () => {} });
+		items.forEach(element => registry.register({ element }));
+		registry.flush();
+		const changeListener = jest.fn();
+		registry.subscribeChanges(changeListener);
+
+		// NOTE: Moving `d` to the front shifts all others by one.
+		list.prepend(items[3]);
+		registry.reorder();
+		const change = changeListener.mock.lastCall[0];
+		expect(change.moved.map(entry => entry.descendant.element)).toEqual([
+			items[3],
+		]);
+		expect(change.shifted.map(entry => entry.descendant.element)).toEqual(
+			items.slice(0, 3),
+		);
+	});
+
+	it(`should reorder descendants that moved in the DOM`, () => {
+		const { list, items } = createList(['a', 'b', 'c']);
+		const registry = new DescendantRegistry({ scheduleFlush: () => {} });
+		items.forEach(element => registry.register({ element }));
+		registry.flush();
+
+		list.prepend(items[2]);
+		registry.reorder();
+		expect(registry.getSnapshot().map(d => d.element.textContent)).toEqual([
+			'c',
+			'a',
+			'b',
+		]);
+	});
+
+	it(`should move the active descendant when it unregisters`, () => {
+		const { items } = createList(['a', 'b', 'c']);
+		const registry = new DescendantRegistry({ scheduleFlush: () => {} });
+		registry.setActiveOptions({ fallback: 'previous' });
+		items.forEach(element => registry.register({ element }));
+		registry.flush();
+
+		registry.setActiveIndex(1);
+		expect(registry.getActiveElement()).toBe(items[1]);
+
+		registry.unregister(items[1]);
+		registry.flush();
+		expect(registry.getActiveIndex()).toBe(0);
+		expect(registry.getActiveElement()).toBe(items[0]);
+	});
+
+	it(`should navigate between registered descendants`, () => {
+		const { items } = createList(['a', 'b', 'c']);
+		const registry = new DescendantRegistry({ scheduleFlush: () => {} });
+		items.forEach(element => registry.register({ element }));
+		registry.flush();
+
+		const navigation = registry.getNavigation({ currentIndex: 2 });
+		expect(navigation.current.element).toBe(items[2]);
+		expect(navigation.getNextOption().index).toBe(0);
+		expect(navigation.getPreviousOption().index).toBe(1);
+
+		const filtered = registry.getNavigation({
+			currentIndex: 0,
+			filter: d => d.element !== items[1],
+			rotate: false,
+		});
+		expect(filtered.getNextOption().index).toBe(2);
+		expect(filtered.getPreviousOption().index).toBe(0);
+	});
+
+	it(`should navigate every index up to count`, () => {
+		const { items } = createList(['a', 'b']);
+		const registry = new DescendantRegistry({ scheduleFlush: () => {} });
+		registry.setActiveOptions({ count: 100 });
+		items.forEach(element => registry.register({ element }));
+		registry.flush();
+
+		const navigation = registry.getNavigation({ currentIndex: 1 });
+		expect(navigation.descendants).toHaveLength(100);
+		expect(navigation.getNextOption()).toEqual({ element: null, index: 2 });
+		expect(navigation.getLastOption().index).toBe(99);
+		expect(navigation.getFirstOption().element).toBe(items[0]);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('DescendantRegistry without elements', () => {
+	it(`should order descendants by the order they registered in`, () => {
+		const registry = new DescendantRegistry({ scheduleFlush: () => {} });
+		registry.register({ id: 'b' });
+		registry.register({ id: 'a' });
+		registry.flush();
+		registry.register({ id: 'c' });
+		registry.flush();
+
+		expect(registry.getSnapshot().map(d => d.id)).toEqual(['b', 'a', 'c']);
+		expect(registry.getIndex('c')).toBe(2);
+
+		registry.unregister('b');
+		registry.flush();
+		expect(registry.getIndex('a')).toBe(0);
+	});
+
+	it(`should order descendants by render order`, () => {
+		const registry = new DescendantRegistry({ scheduleFlush: () => {} });
+		['a', 'b', 'c'].forEach(id => {
+			registry.trackRenderOrder(id);
+			registry.register({ id });
+		});
+		registry.flush();
+
+		['c', 'a', 'b'].forEach(registry.trackRenderOrder);
+		registry.flush();
+		expect(registry.getSnapshot().map(d => d.id)).toEqual(['c', 'a', 'b']);
+
+		// NOTE: Descendants that did not render keep their position.
+		registry.trackRenderOrder('b');
+		registry.flush();
+		expect(registry.getSnapshot().map(d => d.id)).toEqual(['c', 'a', 'b']);
+	});
+
+	it(`should order new descendants among the siblings they rendered with`, () => {
+		const registry = new DescendantRegistry({ scheduleFlush: () => {} });
+		['a', 'c', 'e'].forEach(id => {
+			registry.trackRenderOrder(id);
+			registry.register({ id });
+		});
+		registry.flush();
+
+		// NOTE: Only `c` and `e` rendered, `a` stays in front of them.
+		['c', 'd', 'e'].forEach(registry.trackRenderOrder);
+		registry.register({ id: 'd' });
+		registry.flush();
+		expect(registry.getSnapshot().map(d => d.id)).toEqual(['a', 'c', 'd', 'e']);
+
+		['b', 'c'].forEach(registry.trackRenderOrder);
+		registry.commitRenderOrder();
+		registry.register({ id: 'b' });
+		registry.flush();
+		expect(registry.getSnapshot().map(d => d.id)).toEqual([
+			'a',
+			'b',
+			'c',
+			'd',
+			'e',
+		]);
+	});
+
+	it(`should order descendants with a compare function`, () => {
+		const registry = new DescendantRegistry({
+			scheduleFlush: () => {},
+			compare: (a, b) => a.rank - b.rank,
+		});
+		registry.register({ id: 'a', rank: 3 });
+		registry.register({ id: 'b', rank: 1 });
+		registry.register({ id: 'c', rank: 2 });
+		registry.flush();
+		expect(registry.getSnapshot().map(d => d.id)).toEqual(['b', 'c', 'a']);
+
+		registry.setCompare((a, b) => b.rank - a.rank);
+		expect(registry.getSnapshot().map(d => d.id)).toEqual(['a', 'c', 'b']);
+	});
+
+	it(`should look up descendants with an id by their element as well`, () => {
+		const element = document.createElement('div');
+		const registry = new DescendantRegistry({ scheduleFlush: () => {} });
+		registry.register({ id: 'a' });
+		registry.register({ id: 'b', element });
+		registry.flush();
+
+		expect(registry.getIndex('b')).toBe(1);
+		expect(registry.getIndex(element)).toBe(1);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('key maps', () => {
+	it(`should normalize key combinations`, () => {
+		expect(normalizeKeyCombination('shift+ctrl+Space')).toBe('Ctrl+Shift+ ');
+		expect(normalizeKeyCombination('Cmd++')).toBe('Meta++');
+		expect(normalizeKeyCombination('j')).toBe('j');
+	});
+
+	it(`should prefer the exact combination over the plain key`, () => {
+		const keyMap = { ...getDescendantKeyMap('vertical'), 'Shift+j': 'last' };
+		const event = { key: 'ArrowDown', ctrlKey: false, altKey: false };
+
+		expect(getKeyMapAction(keyMap, event)).toBe('next');
+		expect(getKeyMapAction(keyMap, { ...event, ctrlKey: true })).toBe(
+			'nextGroup',
+		);
+		expect(getKeyMapAction(keyMap, { ...event, shiftKey: true })).toBe('next');
+		expect(getKeyMapAction(keyMap, { key: 'j', shiftKey: true })).toBe('last');
+		expect(getKeyMapAction(keyMap, { key: 'j' })).toBeUndefined();
+	});
+
+	it(`should mirror horizontal key maps for right-to-left layouts`, () => {
+		expect(getDescendantKeyMap('horizontal', true)).toMatchObject({
+			ArrowRight: 'previous',
+			ArrowLeft: 'next',
+		});
+	});
+});
+
+describe('getVirtualDescendants', () => {
+	it(`should fill unmounted indexes with placeholders`, () => {
+		const { items } = createList(['b']);
+		const mounted = { element: items[0], index: 1 };
+
+		expect(getVirtualDescendants([mounted], 3)).toEqual([
+			{ element: null, index: 0 },
+			mounted,
+			{ element: null, index: 2 },
+		]);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('getGridOption', () => {
+	const descendants = Array.from({ length: 6 }, (_, index) => ({
+		element: null,
+		index,
+	}));
+
+	it(`should move through a grid with a fixed number of columns`, () => {
+		const options = { columns: 3, currentIndex: 1 };
+		expect(
+			getGridOption({ key: 'ArrowDown' }, descendants, options).index,
+		).toBe(4);
+		expect(getGridOption({ key: 'End' }, descendants, options).index).toBe(2);
+		expect(
+			getGridOption({ key: 'End', ctrlKey: true }, descendants, options).index,
+		).toBe(5);
+	});
+
+	it(`should skip filtered cells and stop at the edge without rotate`, () => {
+		const options = {
+			columns: 3,
+			currentIndex: 0,
+			filter: descendant => descendant.index !== 3,
+			rotate: false,
+		};
+		expect(
+			getGridOption({ key: 'ArrowDown' }, descendants, options).index,
+		).toBe(0);
+		expect(
+			getGridOption({ key: 'ArrowLeft' }, descendants, options).index,
+		).toBe(0);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('createDescendantTreeNavigation', () => {
+	/**
+	 * createTree links descendants the way tree mode does.
+	 * @returns {Array<Object>}
+	 */
+	function createTree() {
+		const fruits = { label: 'Fruits', expanded: true, parent: null };
+		const apple = { label: 'Apple', parent: fruits };
+		const berries = { label: 'Berries', expanded: false, parent: fruits };
+		const blueberry = { label: 'Blueberry', parent: berries };
+		const grains = { label: 'Grains', parent: null };
+		fruits.children = [apple, berries];
+		apple.children = [];
+		berries.children = [blueberry];
+		blueberry.children = [];
+		grains.children = [];
+		return [fruits, apple, berries, blueberry, grains].map(
+			(descendant, index) => Object.assign(descendant, { index }),
+		);
+	}
+
+	it(`should only walk visible descendants`, () => {
+		const descendants = createTree();
+		const navigation = createDescendantTreeNavigation(descendants, {
+			currentIndex: 2,
+		});
+		expect(navigation.visibleDescendants.map(d => d.label)).toEqual([
+			'Fruits',
+			'Apple',
+			'Berries',
+			'Grains',
+		]);
+		expect(navigation.getNextOption().label).toBe('Grains');
+		expect(navigation.getLastOption().label).toBe('Grains');
+	});
+
+	it(`should describe expanding, entering, collapsing and exiting`, () => {
+		const descendants = createTree();
+		const at = currentIndex =>
+			createDescendantTreeNavigation(descendants, { currentIndex });
+
+		expect(at(2).getExpandOrEnterAction()).toEqual({
+			type: 'expand',
+			option: descendants[2],
+		});
+		expect(at(0).getExpandOrEnterAction()).toEqual({
+			type: 'select',
+			option: descendants[1],
+		});
+		expect(at(0).getCollapseOrExitAction()).toEqual({
+			type: 'collapse',
+			option: descendants[0],
+		});
+		expect(at(1).getCollapseOrExitAction()).toEqual({
+			type: 'select',
+			option: descendants[0],
+		});
+		expect(at(4).getExpandOrEnterAction()).toBeNull();
+		expect(at(1).getCollapsedSiblings()).toEqual([descendants[2]]);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('getTypeaheadOption', () => {
+	const descendants = ['Apple', 'Avocado', 'Banana'].map((key, index) => ({
+		element: null,
+		key,
+		index,
+	}));
+
+	it(`should match the typed prefix`, () => {
+		const options = { currentIndex: 0 };
+		expect(getTypeaheadOption(descendants, 'av', options).key).toBe('Avocado');
+		expect(getTypeaheadOption(descendants, 'b', options).key).toBe('Banana');
+		expect(getTypeaheadOption(descendants, 'c', options)).toBeUndefined();
+	});
+
+	it(`should cycle through descendants with a repeated character`, () => {
+		expect(getTypeaheadOption(descendants, 'a', { currentIndex: 0 }).key).toBe(
+			'Avocado',
+		);
+		expect(getTypeaheadOption(descendants, 'aa', { currentIndex: 1 }).key).toBe(
+			'Apple',
+		);
+		expect(
+			getTypeaheadOption(descendants, 'a', {
+				currentIndex: 0,
+				filter: descendant => descendant.key !== 'Avocado',
+			}).key,
+		).toBe('Apple');
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('createDescendantView', () => {
+	const descendants = ['Apple', 'Banana', 'Pineapple'].map((key, index) => ({
+		element: null,
+		key,
+		index,
+	}));
+
+	it(`should keep every descendant visible without a query`, () => {
+		const view = createDescendantView(descendants);
+		expect(view.descendants.map(d => d.viewIndex)).toEqual([0, 1, 2]);
+		expect(view.getMatches(0)).toEqual([]);
+	});
+
+	it(`should remap indexes and return match ranges`, () => {
+		const view = createDescendantView(descendants, { query: 'APP' });
+		expect(view.descendants.map(d => d.key)).toEqual(['Apple', 'Pineapple']);
+		expect(view.getViewIndex(0)).toBe(0);
+		expect(view.getViewIndex(1)).toBe(-1);
+		expect(view.getViewIndex(2)).toBe(1);
+		expect(view.getMatches(2)).toEqual([[4, 7]]);
+		expect(descendants.filter(view.filter)).toEqual([
+			descendants[0],
+			descendants[2],
+		]);
+
+		const repeated = createDescendantView(descendants, { query: 'an' });
+		expect(repeated.getMatches(1)).toEqual([
+			[1, 3],
+			[3, 5],
+		]);
+	});
+
+	it(`should use a custom matcher`, () => {
+		const match = jest.fn((descendant, query) =>
+			descendant.key.startsWith(query) ? [[0, query.length]] : null,
+		);
+		const view = createDescendantView(descendants, { query: 'B', match });
+		expect(view.descendants.map(d => d.key)).toEqual(['Banana']);
+		expect(view.getMatches(1)).toEqual([[0, 1]]);
+		expect(match).toHaveBeenCalledTimes(3);
+	});
+});
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('DescendantRegistry links', () => {
+	/**
+	 * createRegistry
+	 * @param {Array<string>} ids
+	 * @returns {DescendantRegistry}
+	 */
+	function createRegistry(ids) {
+		const registry = new DescendantRegistry({ scheduleFlush: () => {} });
+		ids.forEach(id => registry.register({ id }));
+		registry.flush();
+		return registry;
+	}
+
+	it(`should link collections both ways`, () => {
+		const left = createRegistry(['a']);
+		const right = createRegistry(['b']);
+		const unlink = left.link('next', right);
+		expect(left.getLink('next')).toBe(right);
+		expect(right.getLink('previous')).toBe(left);
+
+		unlink();
+		expect(left.getLink('next')).toBeUndefined();
+		expect(right.getLink('previous')).toBeUndefined();
+	});
+
+	it(`should activate the entry descendant`, () => {
+		const menu = createRegistry(['a', 'b', 'c']);
+		expect(menu.enter('last')).toBe(true);
+		expect(menu.getActiveIndex()).toBe(2);
+		menu.enter('next');
+		expect(menu.getActiveIndex()).toBe(0);
+		menu.enter('active');
+		expect(menu.getActiveIndex()).toBe(0);
+
+		expect(createRegistry([]).enter('first')).toBe(false);
+	});
+
+	it(`should let enter listeners handle the entry`, () => {
+		const menu = createRegistry(['a', 'b']);
+		const listener = jest.fn(() => true);
+		const unsubscribe = menu.subscribeEnter(listener);
+		expect(menu.enter('last')).toBe(true);
+		expect(listener).toHaveBeenCalledWith('last');
+		expect(menu.getActiveIndex()).toBe(-1);
+
+		unsubscribe();
+		menu.enter('last');
+		expect(menu.getActiveIndex()).toBe(1);
+	});
+
+	it(`should report whether an enter listener selected a descendant`, () => {
+		const menu = createRegistry([]);
+		menu.subscribeEnter(() => false);
+		expect(menu.enter('first')).toBe(false);
+	});
+});
@@ -0,0 +1,107 @@
+/**
+ * @jest-environment node
+ */
+
+import * as React from 'react';
+import { renderToString } from 'react-dom/server.node';
+
+import {
+	createDescendantContext,
+	DescendantProvider,
+	useDescendant,
+	useDescendantItemAria,
+} from '../src/index';
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('useDescendant during server rendering', () => {
+	const DescendantContext = createDescendantContext('DescendantContext');
+
+	function List({ children }) {
+		return (
+			<DescendantProvider context={DescendantContext}>
+				<ul>{children}</ul>
+			</DescendantProvider>
+		);
+	}
+
+	function Item({ children, index: indexProp }) {
+		const [element, elementSet] = React.useState(null);
+		const descendant = React.useMemo(() => ({ element }), [element]);
+		const index = useDescendant(descendant, DescendantContext, indexProp);
+		return (
+			<li ref={elementSet} data-index={index} aria-posinset={index + 1}>
+				{children}
+			</li>
+		);
+	}
+
+	it('should render correct indexes to a string', () => {
+		const html = renderToString(
+			<List>
+				<Item>First</Item>
+				<Item>Second</Item>
+				<div>
+					<Item>Third</Item>
+				</div>
+			</List>,
+		);
+		expect(html).toBe(
+			'<ul><li data-index="0" aria-posinset="1">First</li><li data-index="1" aria-posinset="2">Second</li><div><li data-index="2" aria-posinset="3">Third</li></div></ul>',
+		);
+	});
+
+	it('should keep explicit indexes free of implicit descendants', () => {
+		const html = renderToString(
+			<List>
+				<Item index={0}>First</Item>
+				<Item>Second</Item>
+				<Item index={3}>Fourth</Item>
+				<Item>Third</Item>
+				<Item>Fifth</Item>
+			</List>,
+		);
+		expect(html).toBe(
+			'<ul><li data-index="0" aria-posinset="1">First</li><li data-index="1" aria-posinset="2">Second</li><li data-index="3" aria-posinset="4">Fourth</li><li data-index="2" aria-posinset="3">Third</li><li data-index="4" aria-posinset="5">Fifth</li></ul>',
+		);
+	});
+
+	it('should move the later of two colliding explicit indexes', () => {
+		const html = renderToString(
+			<List>
+				<Item index={1}>A</Item>
+				<Item index={1}>B</Item>
+				<Item>C</Item>
+			</List>,
+		);
+		expect(html).toBe(
+			'<ul><li data-index="1" aria-posinset="2">A</li><li data-index="2" aria-posinset="3">B</li><li data-index="0" aria-posinset="1">C</li></ul>',
+		);
+	});
+
+	it('should render aria-posinset before descendants register', () => {
+		function Option({ children }) {
+			const [element, elementSet] = React.useState(null);
+			const descendant = React.useMemo(() => ({ element }), [element]);
+			const index = useDescendant(descendant, DescendantContext);
+			const ariaProps = useDescendantItemAria(DescendantContext, index);
+			return (
+				<li ref={elementSet} {...ariaProps}>
+					{children}
+				</li>
+			);
+		}
+
+		const html = renderToString(
+			<List>
+				<Option>First</Option>
+				<Option>Second</Option>
+				<Option>Third</Option>
+			</List>,
+		);
+		expect(
+			Array.from(html.matchAll(/aria-posinset="(\d+)"/g), match => match[1]),
+		).toEqual(['1', '2', '3']);
+		expect(html).not.toContain('aria-setsize');
+	});
+});